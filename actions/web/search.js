@@ -4,10 +4,23 @@ const https = require('https');
 const API_KEY = 'REPLACE_ME';
 const SEARCH_ENGINE_ID = 'REPLACE_ME';
 
+// The tool manifest ollama-chat.js reads; --help shares its description
+const SCHEMA = require('./search.json');
+
 // Parse command-line arguments for the query
 const args = process.argv.slice(2);
 let query = '';
 for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--help' || args[i] === '-h') {
+    console.log('Usage: node search.js -q <query>');
+    console.log('');
+    console.log(SCHEMA.description);
+    console.log('');
+    console.log('Options:');
+    console.log('  -q <query>   Search query');
+    console.log('  --help, -h   Show this help message');
+    process.exit(0);
+  }
   if (args[i] === '-q') {
     query = args[i + 1];
     break;
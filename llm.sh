@@ -3,4 +3,4 @@ export OLLAMA_HOST=http://172.24.0.1:11434
 export OLLAMA_MODEL="qwen3:8b"
 #ollama run 
 
-node ollama-chat.js $*
+node ollama-chat.js "$@"
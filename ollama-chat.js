@@ -3,11 +3,13 @@
 const readline = require('readline');
 const fetch = require('node-fetch');
 const process = require('process');
-const { spawn } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
 const xml2js = require('xml2js');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const glob = require('glob');
+const { minimatch } = require('minimatch');
 
 // ANSI color codes for terminal formatting
 const Colors = {
@@ -15,6 +17,9 @@ const Colors = {
   RESET: '\x1b[0m',
   BRIGHT: '\x1b[1m',
   DIM: '\x1b[2m',
+  ITALIC: '\x1b[3m',
+  UNDERLINE: '\x1b[4m',
+  STRIKETHROUGH: '\x1b[9m',
 
   // Colors
   RED: '\x1b[31m',
@@ -42,1136 +47,6277 @@ const Colors = {
   SYSTEM_MSG: '\x1b[2m\x1b[37m' // Dim white for system messages
 };
 
-// Environment variables
-const OLLAMA_HOST = process.env.OLLAMA_BASE_URL || process.env.OLLAMA_HOST || 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'gwen3:8b';
-const OLLAMA_API_KEY = process.env.OLLAMA_API_KEY;
+// Defaults when neither flags, environment nor config set a host or model
+const DEFAULT_HOST = 'http://localhost:11434';
+const DEFAULT_MODEL = 'qwen3:8b';
+
+// Settings that config files and profiles can set, with the environment variables that override them
+const SETTING_ENV_VARS = {
+  host: ['OLLAMA_BASE_URL', 'OLLAMA_HOST'],
+  model: ['OLLAMA_MODEL'],
+  apiKey: ['OLLAMA_API_KEY'],
+  temperature: [],
+  numCtx: [],
+  compactModel: [],  // Model used to summarise history (defaults to the active model)
+  toolMode: ['OLLAMA_TOOL_MODE'],
+  permissionMode: ['OLLAMA_PERMISSION_MODE']
+};
+
+// Settings a project's .ollama-code/config.json may set. A cloned repository must not be able to
+// redirect requests (and the API key) to another host or loosen the permission mode.
+const PROJECT_SETTINGS = ['model', 'temperature', 'numCtx', 'compactModel', 'toolMode'];
+
+// Permission modes for tools that run commands or modify files
+// - ask:       every command and file edit needs approval
+// - auto-edit: file edits are allowed, shell commands need approval
+// - yolo:      everything is allowed (deny rules still apply)
+const PERMISSION_MODES = ['ask', 'auto-edit', 'yolo'];
+
+// How tools are offered to the model
+// - xml:    tool docs in the system prompt, <function_calls> parsed out of the text stream
+// - openai: `tools` field on /v1/chat/completions, structured tool_calls in the stream deltas
+// - ollama: `tools` field on Ollama's native /api/chat
+const TOOL_MODES = ['xml', 'openai', 'ollama'];
+
+// A second Ctrl+C within this window exits instead of cancelling
+const EXIT_CONFIRM_WINDOW = 2000;
+
+// Output formats for headless mode (-p / piped stdin)
+const OUTPUT_FORMATS = ['text', 'json', 'stream-json'];
+
+// Context window management
+const DEFAULT_CONTEXT_LENGTH = 4096;  // Used when neither config nor /api/show knows better
+const COMPACT_THRESHOLD = 0.8;        // Compact once the history fills this share of the context
+const COMPACT_KEEP_RATIO = 0.3;       // Share of the context kept verbatim as recent turns
+const CHARS_PER_TOKEN = 4;            // Rough estimate; good enough to stay under the limit
+
+// Output kept per background process; older output is dropped once the cap is reached
+const BACKGROUND_BUFFER_SIZE = 256 * 1024;
+
+// Foreground commands: default timeout and how much of their output reaches the model
+const DEFAULT_COMMAND_TIMEOUT = 120;  // Seconds; override per call or with "commandTimeout" in config
+const OUTPUT_HEAD_LINES = 50;         // Lines kept from the start of stdout/stderr
+const OUTPUT_TAIL_LINES = 100;        // Lines kept from the end of stdout/stderr
+const OUTPUT_MAX_CHARS = 20000;       // Hard cap per stream, for very long lines
+
+// Edit diffs: context around each change, and the largest changed region aligned line by line
+const DIFF_CONTEXT_LINES = 3;
+const DIFF_MAX_CELLS = 4000000;       // Changed lines before x after; beyond this the region is shown as replaced
+const EDIT_SUMMARY_MAX_LINES = 60;    // Lines of the edited region echoed back to the model
+
+// read_file limits: lines per call, output size, and the longest line shown in full
+const READ_DEFAULT_LINES = 2000;
+const READ_MAX_BYTES = 100 * 1024;
+const READ_MAX_LINE_LENGTH = 2000;
+const READ_STREAM_THRESHOLD = 1024 * 1024; // Larger files are read only as far as the requested lines
+
+// Line editor
+const HISTORY_MAX_ENTRIES = 1000;     // Prompts kept in each project's history file
+const PASTE_COLLAPSE_LINES = 10;      // Longer pastes show as a [pasted N lines] placeholder
+const PASTE_COLLAPSE_CHARS = 1000;    // ... as do single-line pastes longer than this
+const RESULT_PREVIEW_HEAD = 8;        // Rows of a long tool result shown before the collapsed middle
+const RESULT_PREVIEW_TAIL = 4;        // ... and after it (Ctrl+O shows the whole result)
+const TOOL_ARGUMENT_PREVIEW_CHARS = 200; // Longer argument values are cut in the tool call summary
+
+// Project instructions merged into the system prompt
+const INSTRUCTION_FILES = ['AGENTS.md', path.join('.ollama-code', 'instructions.md')];
+const INSTRUCTION_INCLUDE_DEPTH = 5;  // Nesting limit for @path includes
+const INSTRUCTION_MAX_BYTES = 64 * 1024; // Instruction and included files are cut at this size
+const CONTEXT_LISTING_ENTRIES = 50;   // Top-level entries listed in the environment section
+
+// Workspace search (file_search, grep_search)
+const DEFAULT_IGNORE_PATTERNS = ['node_modules/'];  // Lowest priority; a .gitignore can re-include with !
+const WALK_MAX_ENTRIES = 100000;      // Stop walking huge trees instead of hanging
+const GREP_STREAM_THRESHOLD = 1024 * 1024; // Files above this size are read line by line
+const GREP_MAX_LINE_LENGTH = 300;     // Longer matching lines are cut in grep output
+
+// File-type filters for grep_search, in the spirit of ripgrep's --type
+const FILE_TYPES = {
+  js: ['*.js', '*.mjs', '*.cjs', '*.jsx'],
+  ts: ['*.ts', '*.mts', '*.cts', '*.tsx'],
+  py: ['*.py', '*.pyi'],
+  go: ['*.go'],
+  rust: ['*.rs'],
+  java: ['*.java'],
+  kotlin: ['*.kt', '*.kts'],
+  c: ['*.c', '*.h'],
+  cpp: ['*.cpp', '*.cc', '*.cxx', '*.hpp', '*.hh', '*.h'],
+  cs: ['*.cs'],
+  rb: ['*.rb'],
+  php: ['*.php'],
+  sh: ['*.sh', '*.bash', '*.zsh'],
+  ps: ['*.ps1', '*.psm1', '*.bat', '*.cmd'],
+  json: ['*.json', '*.jsonc'],
+  yaml: ['*.yaml', '*.yml'],
+  toml: ['*.toml'],
+  xml: ['*.xml'],
+  html: ['*.html', '*.htm'],
+  css: ['*.css', '*.scss', '*.sass', '*.less'],
+  md: ['*.md', '*.markdown'],
+  sql: ['*.sql']
+};
 
-// Ensure the host URL has the correct format
-const baseUrl = OLLAMA_HOST.endsWith('/v1') ? OLLAMA_HOST : `${OLLAMA_HOST}/v1`;
+// Images read_file can attach for vision models (up to IMAGE_MAX_BYTES)
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
 
 /**
- * XML ESCAPING IMPLEMENTATION
- * 
- * This script properly handles XML escaping/unescaping as documented in docs/system.md.
- * When the LLM sends function calls with XML-escaped content in <parameter> tags,
- * this implementation:
- * 
- * 1. Parses the XML using xml2js 
- * 2. Extracts parameter content (which may contain XML entities)
- * 3. Unescapes XML entities back to original characters:
- *    - &lt; → <
- *    - &gt; → >
- *    - &amp; → &
- *    - &quot; → "
- *    - &apos; → '
- * 4. Validates content and provides warnings for potential escaping issues
- * 
- * This ensures that file content, terminal commands, and other parameters
- * containing special characters are properly restored to their intended form.
+ * TOOL REGISTRY
+ *
+ * Every tool the LLM can call is declared once with its name, description,
+ * parameter schema and handler. The registry is the single source of truth for:
+ *
+ * 1. Dispatching parsed <invoke> calls to the right handler
+ * 2. Coercing XML string parameters into their declared types
+ *    (string, integer, number, boolean, array as JSON) and applying defaults
+ * 3. Reporting unknown tools and bad arguments back to the LLM
+ * 4. Generating the tool section of the system prompt ({{TOOLS}} in docs/system.md)
+ *
+ * Parameter schema fields: type, required, default, description, placeholder,
+ * and items (JSON Schema of the elements of an array parameter)
+ *
+ * Tools that run commands or modify files declare a permission, e.g.
+ *   permission: { kind: 'command', target: (params) => params.command }
+ *   permission: { kind: 'edit', target: (params) => params.filePath }
+ * (an edit target may also be a list of paths) and are passed to the authorize callback before their handler runs. The
+ * callback returns a refusal message, or nothing to let the call proceed.
  */
-
-class OllamaChat {
-  constructor() {
-    this.currentInput = '';
-    this.cursorPos = 0;
-    this.conversationHistory = []; // Add conversation memory
-    this.backgroundProcesses = new Map(); // Store background processes by ID
-    this.nextProcessId = 1; // Auto-incrementing process ID
-
-    // Paste detection variables
-    this.pasteBuffer = '';
-    this.lastKeypressTime = 0;
-    this.pasteTimeout = null;
-    this.isPasting = false;
-    this.pasteThreshold = 10; // Milliseconds between keypress events to consider it pasting
-
-    // Logging setup
-    this.startTime = new Date();
-    this.setupLogging();
-
-    this.loadSystemInstructions(); // Load system instructions on startup
-    this.setupReadline();
+class ToolRegistry {
+  constructor(options = {}) {
+    this.tools = new Map();
+    this.authorize = options.authorize || null;
   }
 
-  setupLogging() {
-    // Create logs directory if it doesn't exist
-    const logsDir = path.join(__dirname, 'logs');
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
+  register(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool definitions require a name and a handler');
     }
-
-    // Create log file with timestamp
-    const timestamp = this.startTime.toISOString().replace(/[:.]/g, '-').replace('T', '_').split('.')[0];
-    this.logFilePath = path.join(logsDir, `chat_${timestamp}.log`);
-
-    // Initialize log file
-    fs.writeFileSync(this.logFilePath, `=== Ollama Chat Session Started at ${this.startTime.toISOString()} ===\n`, 'utf8');
+    this.tools.set(tool.name, {
+      description: '',
+      parameters: {},
+      ...tool
+    });
   }
 
-  getElapsedTime() {
-    const elapsed = Date.now() - this.startTime.getTime();
-    const seconds = (elapsed / 1000).toFixed(3);
-    return `[+${seconds}s]`;
+  get(name) {
+    return this.tools.get(name);
   }
 
-  writeToStdout(text) {
-    // Write to stdout
-    process.stdout.write(text);
+  remove(name) {
+    this.tools.delete(name);
+  }
 
-    // Also write to log file with timestamp
-    try {
-      const timestamp = this.getElapsedTime();
-      fs.appendFileSync(this.logFilePath, `${timestamp} ${text}`, 'utf8');
-    } catch (error) {
-      // Silently ignore logging errors to avoid disrupting the main flow
-    }
+  names() {
+    return Array.from(this.tools.keys());
   }
 
-  loadSystemInstructions() {
-    try {
-      const systemPath = path.join(__dirname, 'docs', 'system.md');
-      if (fs.existsSync(systemPath)) {
-        const systemContent = fs.readFileSync(systemPath, 'utf8');
-        // Add system instructions as the first message in conversation history
-        // This will be sent to the LLM but not displayed to the user
-        this.conversationHistory.push({
-          role: 'system',
-          content: systemContent
-        });
-        console.log(this.formatSystemMessage('System instructions loaded from docs/system.md'));
-        console.log(this.formatSystemMessage('File system operations: list_dir, file_search, grep_search, read_file, create_file, replace_string_in_file'));
-      } else {
-        console.log(this.formatSystemMessage('No system instructions found at docs/system.md'));
+  // Convert a single raw (string) parameter value to its declared type; values that are
+  // already JSON (native tool calls) must have the declared type
+  coerce(value, spec) {
+    const type = spec.type || 'string';
+    if (type === 'array' && typeof value === 'string') {
+      // Arrays arrive from XML as JSON text
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        return { error: `expected a JSON array, got invalid JSON (${error.message})` };
       }
-    } catch (error) {
-      console.log(this.formatSystemMessage(`Error loading system instructions: ${error.message}`));
     }
-  }
+    if (type === 'array' && !Array.isArray(value)) {
+      return { error: 'expected a JSON array' };
+    }
+    if (typeof value !== 'string') {
+      const actual = Array.isArray(value) ? 'array' : typeof value;
+      const matches = {
+        array: Array.isArray(value),
+        boolean: actual === 'boolean',
+        integer: Number.isInteger(value),
+        number: actual === 'number' && Number.isFinite(value)
+      }[type];
+      if (matches === undefined && type !== 'string') {
+        return { error: `unsupported parameter type "${type}"` };
+      }
+      return matches ? { value } : { error: `expected ${type}, got ${actual === 'number' ? value : actual}` };
+    }
 
-  setupReadline() {
-    // Enable keypress events
-    readline.emitKeypressEvents(process.stdin);
+    if (type === 'string') {
+      return { value };
+    }
 
-    // Set raw mode for key detection
-    if (process.stdin.isTTY) {
-      process.stdin.setRawMode(true);
+    const trimmed = value.trim();
+    if (type === 'boolean') {
+      if (/^(true|yes|1)$/i.test(trimmed)) return { value: true };
+      if (/^(false|no|0)$/i.test(trimmed)) return { value: false };
+      return { error: `expected boolean (true/false), got "${value}"` };
+    }
+    if (type === 'integer') {
+      if (/^-?\d+$/.test(trimmed)) return { value: parseInt(trimmed, 10) };
+      return { error: `expected integer, got "${value}"` };
+    }
+    if (type === 'number') {
+      const number = Number(trimmed);
+      if (trimmed !== '' && !Number.isNaN(number)) return { value: number };
+      return { error: `expected number, got "${value}"` };
     }
 
-    // Handle keypress events
-    process.stdin.on('keypress', this.handleKeypress.bind(this));
+    return { error: `unsupported parameter type "${type}"` };
   }
 
-  handleKeypress(str, key) {
-    if (!key) return;
-
-    const currentTime = Date.now();
-    const timeSinceLastKeypress = currentTime - this.lastKeypressTime;
+  // Validate and coerce the parameters of a parsed call against the tool schema
+  validate(tool, rawParams) {
+    const params = {};
+    const errors = [];
+
+    for (const [name, spec] of Object.entries(tool.parameters)) {
+      const raw = rawParams[name];
+      // Empty values only count as provided for string parameters; null is never a value
+      const isMissing = raw === undefined || raw === null || (raw === '' && (spec.type || 'string') !== 'string');
+
+      if (isMissing) {
+        if (spec.required) {
+          errors.push(`${name}: required parameter is missing`);
+        } else if (spec.default !== undefined) {
+          params[name] = spec.default;
+        }
+        continue;
+      }
 
-    // Handle Ctrl+C to exit
-    if (key.ctrl && key.name === 'c') {
-      this.writeToStdout('\n');
-      process.exit(0);
+      const { value, error } = this.coerce(raw, spec);
+      if (error) {
+        errors.push(`${name}: ${error}`);
+      } else {
+        params[name] = value;
+      }
     }
 
-    // Handle Ctrl+L to clear conversation history
-    if (key.ctrl && key.name === 'l') {
-      // Preserve system instructions while clearing conversation
-      const systemMessages = this.conversationHistory.filter(msg => msg.role === 'system');
-      this.conversationHistory = systemMessages;
-      // Reset stream state
-      this.streamState = null;
-      this.writeToStdout('\n' + this.formatSystemMessage('Conversation history cleared') + '\n');
-      this.showPrompt();
-      return;
+    for (const name of Object.keys(rawParams)) {
+      if (!(name in tool.parameters)) {
+        errors.push(`${name}: unknown parameter`);
+      }
     }
 
-    // Detect potential paste operation (rapid sequence of characters or line endings)
-    if (str && str.length === 1 && timeSinceLastKeypress < this.pasteThreshold && !key.ctrl && !key.alt && !key.meta) {
-      this.handlePossiblePaste(str);
-      this.lastKeypressTime = currentTime;
-      return;
-    }
+    return { params, errors };
+  }
 
-    // Also handle line endings during paste operations
-    if (str === '\n' && timeSinceLastKeypress < this.pasteThreshold && !key.ctrl && !key.alt && !key.meta) {
-      this.handlePossiblePaste(str);
-      this.lastKeypressTime = currentTime;
-      return;
+  // Run a parsed call and always return a string result for <function_results>
+  // (options.native: the call came through native tool calling, so show usage as a signature)
+  async dispatch(call, options = {}) {
+    call = { ...call, name: this.resolveName(call.name) };
+    const tool = this.tools.get(call.name);
+    if (!tool) {
+      return `Error: Unknown tool "${call.name}". Available tools: ${this.names().join(', ')}`;
     }
 
-    // If we were pasting and now got a different type of input, finalize the paste
-    if (this.isPasting) {
-      this.finalizePaste();
+    const { params, errors } = this.validate(tool, call.parameters || {});
+    if (errors.length > 0) {
+      return `Error: Invalid arguments for tool "${call.name}":\n` +
+        errors.map(error => `- ${error}`).join('\n') +
+        `\n\nUsage:\n${options.native ? this.formatSignature(call.name, tool) : this.formatExample(call.name, tool)}`;
     }
 
-    // Handle Alt+Enter for multiline - try multiple approaches
-    // On Windows, Alt key shows up as meta: true instead of alt: true
-    if ((key.alt || key.meta) && (key.name === 'return' || key.name === 'enter')) {
-      this.insertAtCursor('\n');
-      this.redrawLine();
-      this.lastKeypressTime = currentTime;
-      return;
-    }
+    try {
+      if (tool.permission && this.authorize) {
+        const refusal = await this.authorize(call.name, tool, params);
+        if (refusal) {
+          return refusal;
+        }
+      }
 
-    // Alternative check for Alt+Enter using character codes
-    if (str === '\r' && (key.alt || key.meta)) {
-      console.log('alt+enter detected via char code');
-      this.insertAtCursor('\n');
-      this.redrawLine();
-      this.lastKeypressTime = currentTime;
-      return;
+      const result = await tool.handler(params);
+      return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+    } catch (error) {
+      return `Error: Tool "${call.name}" failed: ${error.message}`;
     }
+  }
 
-    // Handle regular Enter to send message (only if not pasting)
-    if ((key.name === 'return' || key.name === 'enter') && !key.alt && !key.ctrl && !key.meta && !this.isPasting) {
-      if (this.currentInput.trim()) {
-        this.writeToStdout('\n');
-        this.sendMessage(this.currentInput);
-        this.currentInput = '';
-        this.cursorPos = 0;
-      } else {
-        this.writeToStdout('\n');
-        this.showPrompt();
-      }
-      this.lastKeypressTime = currentTime;
-      return;
-    }
+  // Function names may only contain letters, digits, _ and - in native tool calling
+  functionName(name) {
+    return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
 
-    // Handle backspace
-    if (key.name === 'backspace') {
-      if (this.cursorPos > 0) {
-        this.currentInput = this.currentInput.slice(0, this.cursorPos - 1) +
-          this.currentInput.slice(this.cursorPos);
-        this.cursorPos--;
-        this.redrawLine();
-      }
-      this.lastKeypressTime = currentTime;
-      return;
+  // Find a tool by its registered name or its native function name
+  resolveName(name) {
+    if (this.tools.has(name)) {
+      return name;
     }
+    return this.names().find(toolName => this.functionName(toolName) === name) || name;
+  }
 
-    // Handle delete
-    if (key.name === 'delete') {
-      if (this.cursorPos < this.currentInput.length) {
-        this.currentInput = this.currentInput.slice(0, this.cursorPos) +
-          this.currentInput.slice(this.cursorPos + 1);
-        this.redrawLine();
+  // JSON Schema tool definitions for the `tools` field of native tool calling
+  toFunctionDefinitions() {
+    return Array.from(this.tools, ([name, tool]) => {
+      const properties = {};
+      const required = [];
+
+      for (const [paramName, spec] of Object.entries(tool.parameters)) {
+        properties[paramName] = {
+          type: spec.type || 'string',
+          description: spec.description || ''
+        };
+        if (spec.items) {
+          properties[paramName].items = spec.items;
+        }
+        if (spec.default !== undefined) {
+          properties[paramName].default = spec.default;
+        }
+        if (spec.required) {
+          required.push(paramName);
+        }
       }
-      this.lastKeypressTime = currentTime;
-      return;
-    }
 
-    // Handle left arrow
-    if (key.name === 'left') {
-      if (this.cursorPos > 0) {
-        this.cursorPos--;
-        process.stdout.write('\x1b[D'); // Move cursor left
-      }
-      this.lastKeypressTime = currentTime;
-      return;
-    }
+      return {
+        type: 'function',
+        function: {
+          name: this.functionName(name),
+          description: tool.returns ? `${tool.description} Returns: ${tool.returns}` : tool.description,
+          parameters: { type: 'object', properties, required }
+        }
+      };
+    });
+  }
 
-    // Handle right arrow
-    if (key.name === 'right') {
-      if (this.cursorPos < this.currentInput.length) {
-        this.cursorPos++;
-        process.stdout.write('\x1b[C'); // Move cursor right
-      }
-      this.lastKeypressTime = currentTime;
-      return;
+  // Compact signature for native tool calling, e.g. read_file(filePath: string, offset?: integer)
+  formatSignature(name, tool) {
+    const params = Object.entries(tool.parameters).map(([paramName, spec]) =>
+      `${paramName}${spec.required ? '' : '?'}: ${spec.type || 'string'}`
+    );
+    return `${this.functionName(name)}(${params.join(', ')})`;
+  }
+
+  // XML usage example for a tool, with placeholders for every parameter
+  formatExample(name, tool) {
+    const lines = ['<function_calls>', `  <invoke name="${name}">`];
+    for (const [paramName, spec] of Object.entries(tool.parameters)) {
+      const placeholder = spec.placeholder || paramName.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+      lines.push(`    <parameter name="${paramName}">${placeholder}</parameter>`);
     }
+    lines.push('  </invoke>', '</function_calls>');
+    return lines.join('\n');
+  }
 
-    // Handle home key
-    if (key.name === 'home') {
-      const moveLeft = this.cursorPos;
-      this.cursorPos = 0;
-      if (moveLeft > 0) {
-        process.stdout.write(`\x1b[${moveLeft}D`); // Move cursor left by moveLeft positions
+  // Markdown documentation of every registered tool, injected into the system prompt
+  describe() {
+    const sections = ['## Available Tools'];
+
+    for (const [name, tool] of this.tools) {
+      const section = [`### ${name}`, tool.description];
+
+      const parameters = Object.entries(tool.parameters);
+      if (parameters.length > 0) {
+        section.push('', '**Parameters:**');
+        for (const [paramName, spec] of parameters) {
+          const flags = [spec.type || 'string', spec.required ? 'required' : 'optional'];
+          if (spec.default !== undefined) {
+            flags.push(`default: ${spec.default}`);
+          }
+          const description = spec.description ? ` - ${spec.description}` : '';
+          section.push(`- \`${paramName}\` (${flags.join(', ')})${description}`);
+        }
       }
-      this.lastKeypressTime = currentTime;
-      return;
-    }
 
-    // Handle end key
-    if (key.name === 'end') {
-      const moveRight = this.currentInput.length - this.cursorPos;
-      this.cursorPos = this.currentInput.length;
-      if (moveRight > 0) {
-        process.stdout.write(`\x1b[${moveRight}C`); // Move cursor right by moveRight positions
+      if (tool.returns) {
+        section.push('', `**Returns:** ${tool.returns}`);
       }
-      this.lastKeypressTime = currentTime;
-      return;
-    }
 
-    // Handle regular printable characters (but not during paste)
-    if (str && str.length === 1 && !key.ctrl && !key.alt && !key.meta) {
-      this.insertAtCursor(str);
-      this.redrawLine();
+      section.push('', '```xml', this.formatExample(name, tool), '```');
+      sections.push(section.join('\n'));
     }
 
-    this.lastKeypressTime = currentTime;
+    return sections.join('\n\n');
   }
+}
 
-  insertAtCursor(text) {
-    this.currentInput = this.currentInput.slice(0, this.cursorPos) +
-      text +
-      this.currentInput.slice(this.cursorPos);
-    this.cursorPos += text.length;
+/**
+ * OUTPUT BUFFER
+ *
+ * Ring buffer for the combined stdout/stderr of a background process. Only the
+ * last `limit` characters are kept, but positions are counted over everything
+ * ever written, so a reader can pass the `next` cursor of its previous read as
+ * `since` and receive only new output (and learn how much was dropped).
+ * With keepHead, the first `limit` characters are kept as well.
+ */
+class OutputBuffer {
+  constructor(limit = BACKGROUND_BUFFER_SIZE, options = {}) {
+    this.limit = limit;
+    this.text = '';
+    this.head = options.keepHead ? '' : null;
+    this.total = 0; // Characters written since the process started
   }
 
-  handlePossiblePaste(char) {
-    // Start paste mode if not already pasting
-    if (!this.isPasting) {
-      this.isPasting = true;
-      this.pasteBuffer = '';
+  append(chunk) {
+    if (this.head !== null && this.head.length < this.limit) {
+      this.head += chunk.slice(0, this.limit - this.head.length);
     }
-
-    // Handle line endings properly - convert \r\n and \r to \n
-    if (char === '\r') {
-      // Don't add standalone \r, wait for potential \n
-      return;
+    this.text += chunk;
+    this.total += chunk.length;
+    if (this.text.length > this.limit) {
+      this.text = this.text.slice(this.text.length - this.limit);
     }
+  }
 
-    // Add character to paste buffer
-    this.pasteBuffer += char;
+  // Position of the first character still held
+  get start() {
+    return this.total - this.text.length;
+  }
 
-    // Clear any existing timeout
-    if (this.pasteTimeout) {
-      clearTimeout(this.pasteTimeout);
+  // Output from `since` (default: everything held), optionally only the last `tail` lines
+  read({ since = null, tail = null } = {}) {
+    const from = since === null ? this.start : Math.min(Math.max(since, 0), this.total);
+    const dropped = Math.max(this.start - from, 0);
+    let text = this.text.slice(Math.max(from - this.start, 0));
+
+    if (tail !== null) {
+      const lines = text.split('\n');
+      if (lines[lines.length - 1] === '') {
+        lines.pop();
+      }
+      text = lines.slice(-Math.max(tail, 0)).join('\n');
     }
 
-    // Set a timeout to finalize the paste after a short delay
-    this.pasteTimeout = setTimeout(() => {
-      this.finalizePaste();
-    }, 50); // 50ms delay to allow for complete paste
+    return { text, dropped, next: this.total };
   }
 
-  finalizePaste() {
-    if (!this.isPasting || !this.pasteBuffer) {
-      return;
+  // Head and tail with a marker for the characters in between (needs keepHead)
+  toString() {
+    if (this.total <= this.limit) {
+      return this.text;
     }
-
-    // Insert all pasted content at once
-    this.insertAtCursor(this.pasteBuffer);
-    this.redrawLine();
-
-    // Reset paste state
-    this.isPasting = false;
-    this.pasteBuffer = '';
-
-    if (this.pasteTimeout) {
-      clearTimeout(this.pasteTimeout);
-      this.pasteTimeout = null;
+    const omitted = this.total - this.head.length - this.text.length;
+    if (omitted <= 0) {
+      return this.head + this.text.slice(this.head.length + this.text.length - this.total);
     }
+    return `${this.head}\n[... ${omitted} characters omitted ...]\n${this.text}`;
   }
+}
 
-  redrawLine() {
-    // Clear current line and redraw
-    process.stdout.write('\r\x1b[K'); // Clear line
-    const prompt = this.currentInput.includes('\n') ? '... ' : '>>> ';
+/**
+ * MARKDOWN RENDERING
+ *
+ * Streaming renderer for assistant responses. write() takes chunks as they
+ * arrive and returns ANSI text, end() flushes whatever is still held back when
+ * the response (or a run of text between tool calls) ends. Output is never
+ * rewritten: a line start is held only until its block type is known (heading,
+ * list, quote, fence), an emphasis marker only until the next character shows
+ * whether it opens or closes. Fenced code is highlighted a line at a time and
+ * tables are buffered until their last row, since column widths need every row.
+ * Inline styles do not carry over a line break.
+ */
+const MARKDOWN_MARKERS = '*_~`';
+
+const CODE_KEYWORDS = {
+  js: 'async await break case catch class const continue debugger default delete do else export extends false finally for from function get if import in instanceof let new null of return set static super switch this throw true try typeof undefined var void while with yield',
+  ts: 'abstract as async await break case catch class const continue declare default delete do else enum export extends false finally for from function get if implements import in instanceof interface keyof let namespace new null of private protected public readonly return set static super switch this throw true try type typeof undefined var void while with yield',
+  python: 'False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return self try while with yield',
+  shell: 'case do done echo elif else esac exit export fi for function if in local return then until while',
+  go: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var',
+  rust: 'as async await break const continue crate else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while',
+  c: 'abstract auto bool break case catch char class const continue default delete do double else enum extends false final float for if implements import int interface long namespace new null nullptr package private protected public return short signed sizeof static struct super switch template this throw true try typedef union unsigned using var virtual void volatile while',
+  json: 'false null true'
+};
 
-    // Display the input with proper newline handling and color
-    const displayInput = this.currentInput.replace(/\n/g, '\n... ');
-    const coloredPrompt = this.formatUserInput(prompt);
-    const coloredInput = this.formatUserInput(displayInput);
-    this.writeToStdout(coloredPrompt + coloredInput);
+// Comment and string syntax per language (block comments may span lines)
+const CODE_SYNTAX = {
+  js: { lineComment: '//', blockComment: ['/*', '*/'], quotes: '"\'`' },
+  ts: { lineComment: '//', blockComment: ['/*', '*/'], quotes: '"\'`' },
+  python: { lineComment: '#', quotes: '"\'' },
+  shell: { lineComment: '#', quotes: '"\'' },
+  go: { lineComment: '//', blockComment: ['/*', '*/'], quotes: '"\'`' },
+  rust: { lineComment: '//', blockComment: ['/*', '*/'], quotes: '"' },
+  c: { lineComment: '//', blockComment: ['/*', '*/'], quotes: '"\'' },
+  json: { quotes: '"' }
+};
 
-    // Calculate cursor position after newlines
-    const lines = this.currentInput.slice(0, this.cursorPos).split('\n');
-    const currentLinePos = lines[lines.length - 1].length;
-    const totalLines = this.currentInput.slice(0, this.cursorPos).split('\n').length;
+const CODE_LANGUAGE_ALIASES = {
+  javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js', node: 'js',
+  typescript: 'ts', tsx: 'ts',
+  py: 'python', python3: 'python',
+  sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', shellscript: 'shell',
+  golang: 'go',
+  rs: 'rust',
+  cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c', cc: 'c', java: 'c', cs: 'c', csharp: 'c', kotlin: 'c', kt: 'c', swift: 'c',
+  jsonc: 'json'
+};
 
-    // Move cursor to correct position
-    if (totalLines > 1) {
-      // Move up to the correct line
-      process.stdout.write(`\x1b[${totalLines - 1}A`);
-    }
+class MarkdownRenderer {
+  constructor() {
+    this.fence = null; // Open code fence: { marker, syntax, keywords, inComment }
+    this.table = []; // Buffered table rows
+    this.tableEndsLine = false;
+    this.sgr = ''; // Escape sequence currently in effect
+    this.out = '';
+    this.startLine();
+  }
 
-    // Move to correct column (accounting for prompt)
-    const promptLen = totalLines === 1 ? 4 : 4; // '>>> ' or '... '
-    process.stdout.write(`\r\x1b[${promptLen + currentLinePos}C`);
+  startLine() {
+    this.line = ''; // Start of the line while undecided, or the whole line for line-rendered blocks
+    this.block = null; // null (undecided), 'inline' or 'line'
+    this.kind = null;
+    this.lineStyle = '';
+    this.marker = ''; // Run of emphasis/code markers waiting for the next character
+    this.escape = false;
+    this.inline = { bold: false, italic: false, strike: false, code: 0 };
+    this.prevChar = '';
   }
 
-  // Color and formatting helper methods
-  formatUserInput(text) {
-    return `${Colors.USER_PROMPT}${text}${Colors.RESET}`;
+  write(text) {
+    this.out = '';
+    for (const char of text) {
+      if (char === '\n') {
+        this.endLine(true);
+      } else if (this.block === 'inline') {
+        this.inlineChar(char);
+      } else {
+        this.line += char;
+        if (this.block === null) {
+          this.classify(false);
+        }
+      }
+    }
+    // Leave the terminal unstyled between chunks, other output may come in between
+    this.raw('');
+    return this.out;
   }
 
-  formatLLMThinking(text) {
-    const header = `${Colors.LLM_THINKING}${Colors.BRIGHT}┌─ LLM THINKING ─────────────────────────────────────────┐${Colors.RESET}`;
-    const footer = `${Colors.LLM_THINKING}${Colors.BRIGHT}└────────────────────────────────────────────────────────┘${Colors.RESET}`;
-    const content = text.split('\n').map(line =>
-      `${Colors.LLM_THINKING}│ ${line.padEnd(54)}${Colors.RESET}`
+  end() {
+    this.out = '';
+    if (this.line || this.block || this.marker || this.escape) {
+      this.endLine(false);
+    }
+    if (this.table.length > 0) {
+      this.flushTable();
+    }
+    this.fence = null;
+    this.raw('');
+    return this.out;
+  }
+
+  emit(text, sgr) {
+    if (sgr !== this.sgr) {
+      this.out += Colors.RESET + sgr;
+      this.sgr = sgr;
+    }
+    this.out += text;
+  }
+
+  // Text that carries its own escape sequences
+  raw(text) {
+    if (this.sgr) {
+      this.out += Colors.RESET;
+      this.sgr = '';
+    }
+    this.out += text;
+  }
+
+  // Block type of the current line, or null while more characters are needed
+  lineKind(complete) {
+    if (this.fence) {
+      return { type: 'code' };
+    }
+    const indent = this.line.match(/^[ \t]*/)[0];
+    const rest = this.line.slice(indent.length);
+    const text = { type: 'text', start: 0 };
+    if (!rest) {
+      return complete ? text : null;
+    }
+    if (/^(`{3,}|~{3,})/.test(rest)) {
+      return { type: 'fence' };
+    }
+    if (/^(`{1,2}|~{1,2})$/.test(rest)) {
+      return complete ? text : null;
+    }
+    if (rest[0] === '#') {
+      const heading = rest.match(/^(#{1,6})[ \t]+/);
+      if (heading && (complete || heading[0].length < rest.length)) {
+        return { type: 'heading', level: heading[1].length, start: indent.length + heading[0].length };
+      }
+      return !complete && /^#{1,6}[ \t]*$/.test(rest) ? null : text;
+    }
+    if (rest[0] === '|') {
+      return { type: 'table' };
+    }
+    if (rest[0] === '>') {
+      if (rest === '>' && !complete) {
+        return null;
+      }
+      return { type: 'quote', start: indent.length + rest.match(/^> ?/)[0].length };
+    }
+    if (/^([-*_])(?:[ \t]*\1)*[ \t]*$/.test(rest)) {
+      if (!complete) {
+        return null;
+      }
+      if (rest.replace(/[ \t]/g, '').length >= 3) {
+        return { type: 'rule' };
+      }
+    }
+    const bullet = rest.match(/^[-*+][ \t]+/);
+    if (bullet) {
+      return { type: 'bullet', indent, start: indent.length + bullet[0].length };
+    }
+    const number = rest.match(/^(\d{1,9}[.)])[ \t]+/);
+    if (number) {
+      return { type: 'number', indent, label: number[1], start: indent.length + number[0].length };
+    }
+    if (!complete && /^\d{1,9}[.)]?$/.test(rest)) {
+      return null;
+    }
+    return text;
+  }
+
+  classify(complete) {
+    const kind = this.lineKind(complete);
+    if (!kind) {
+      return;
+    }
+    if (this.table.length > 0 && kind.type !== 'table') {
+      this.flushTable();
+    }
+    this.kind = kind;
+    if (['code', 'fence', 'table', 'rule'].includes(kind.type)) {
+      this.block = 'line';
+      return;
+    }
+
+    this.block = 'inline';
+    const bulletColor = Colors.YELLOW + Colors.BRIGHT;
+    if (kind.type === 'heading') {
+      this.lineStyle = Colors.LLM_RESPONSE + Colors.BRIGHT + (kind.level <= 2 ? Colors.UNDERLINE : '');
+    } else if (kind.type === 'quote') {
+      this.emit('│ ', Colors.DIM);
+      this.lineStyle = Colors.LLM_RESPONSE + Colors.DIM + Colors.ITALIC;
+    } else if (kind.type === 'bullet') {
+      this.emit(`${kind.indent}${kind.indent ? '◦' : '•'} `, bulletColor);
+    } else if (kind.type === 'number') {
+      this.emit(`${kind.indent}${kind.label} `, bulletColor);
+    }
+    const rest = this.line.slice(kind.start);
+    this.line = '';
+    for (const char of rest) {
+      this.inlineChar(char);
+    }
+  }
+
+  endLine(newline) {
+    if (this.block === null) {
+      this.classify(true);
+    }
+    if (this.block === 'line') {
+      this.renderLine(newline);
+    } else {
+      if (this.escape) {
+        this.text('\\');
+      }
+      if (this.marker) {
+        this.resolveMarker('');
+      }
+      if (newline) {
+        this.emit('\n', this.sgr);
+      }
+    }
+    this.startLine();
+  }
+
+  renderLine(newline) {
+    const { line, kind } = this;
+    const eol = newline ? '\n' : '';
+    if (kind.type === 'table') {
+      this.table.push(line);
+      this.tableEndsLine = newline;
+      return;
+    }
+    if (kind.type === 'rule') {
+      this.emit('─'.repeat(Math.min(process.stdout.columns || 80, 80)), Colors.DIM);
+      this.emit(eol, this.sgr);
+      return;
+    }
+    if (kind.type === 'fence') {
+      const [, marker, info] = line.match(/^[ \t]*(`{3,}|~{3,})[ \t]*(\S*)/);
+      const language = info.toLowerCase();
+      const key = CODE_LANGUAGE_ALIASES[language] || language;
+      this.fence = {
+        marker,
+        syntax: CODE_SYNTAX[key] || { quotes: '"\'' },
+        keywords: new Set((CODE_KEYWORDS[key] || '').split(' ')),
+        inComment: false
+      };
+      this.emit(line, Colors.DIM);
+      this.emit(eol, this.sgr);
+      return;
+    }
+    // Inside a fence: the closing fence or a line of code
+    const closing = line.match(/^[ \t]*(`{3,}|~{3,})[ \t]*$/);
+    if (closing && closing[1][0] === this.fence.marker[0] && closing[1].length >= this.fence.marker.length) {
+      this.fence = null;
+      this.emit(line, Colors.DIM);
+    } else {
+      this.highlightCode(line);
+    }
+    this.emit(eol, this.sgr);
+  }
+
+  // Color one line of fenced code: keywords, strings, comments and numbers
+  highlightCode(line) {
+    const { syntax, keywords } = this.fence;
+    const plain = Colors.WHITE;
+    const number = /0x[0-9a-fA-F]+|\d[\d_]*(\.\d+)?([eE][+-]?\d+)?/y;
+    const word = /[A-Za-z_$][\w$]*/y;
+    let position = 0;
+    while (position < line.length) {
+      if (this.fence.inComment) {
+        const close = line.indexOf(syntax.blockComment[1], position);
+        const end = close === -1 ? line.length : close + syntax.blockComment[1].length;
+        this.emit(line.slice(position, end), Colors.DIM);
+        this.fence.inComment = close === -1;
+        position = end;
+        continue;
+      }
+      const rest = line.slice(position);
+      if (syntax.blockComment && rest.startsWith(syntax.blockComment[0])) {
+        this.emit(syntax.blockComment[0], Colors.DIM);
+        this.fence.inComment = true;
+        position += syntax.blockComment[0].length;
+        continue;
+      }
+      if (syntax.lineComment && rest.startsWith(syntax.lineComment) &&
+        (syntax.lineComment !== '#' || position === 0 || /\s/.test(line[position - 1]))) {
+        this.emit(rest, Colors.DIM);
+        break;
+      }
+      const char = line[position];
+      if (syntax.quotes.includes(char)) {
+        let end = position + 1;
+        while (end < line.length && line[end] !== char) {
+          end += line[end] === '\\' ? 2 : 1;
+        }
+        end = Math.min(end + 1, line.length);
+        this.emit(line.slice(position, end), Colors.YELLOW);
+        position = end;
+        continue;
+      }
+      word.lastIndex = position;
+      const identifier = word.exec(line);
+      if (identifier) {
+        this.emit(identifier[0], keywords.has(identifier[0]) ? Colors.MAGENTA : plain);
+        position += identifier[0].length;
+        continue;
+      }
+      number.lastIndex = position;
+      const digits = number.exec(line);
+      if (digits) {
+        this.emit(digits[0], Colors.CYAN);
+        position += digits[0].length;
+        continue;
+      }
+      this.emit(char, plain);
+      position++;
+    }
+  }
+
+  inlineStyle() {
+    const { inline } = this;
+    let sgr = this.lineStyle || Colors.LLM_RESPONSE;
+    if (inline.code) sgr += Colors.CYAN;
+    if (inline.bold) sgr += Colors.BRIGHT;
+    if (inline.italic) sgr += Colors.ITALIC;
+    if (inline.strike) sgr += Colors.STRIKETHROUGH;
+    return sgr;
+  }
+
+  text(text) {
+    this.emit(text, this.inlineStyle());
+    this.prevChar = text[text.length - 1];
+  }
+
+  inlineChar(char) {
+    if (this.escape) {
+      this.escape = false;
+      if (/[!-/:-@[-`{-~]/.test(char)) {
+        this.text(char);
+        return;
+      }
+      this.text('\\');
+    }
+    if (this.marker && char !== this.marker[0]) {
+      this.resolveMarker(char);
+    }
+    if (MARKDOWN_MARKERS.includes(char)) {
+      this.marker += char;
+    } else if (char === '\\' && !this.inline.code) {
+      this.escape = true;
+    } else {
+      this.text(char);
+    }
+  }
+
+  // Decide whether a run of markers opens or closes a style, from the characters around it
+  resolveMarker(next) {
+    const run = this.marker;
+    const char = run[0];
+    const { inline } = this;
+    this.marker = '';
+    const spaceBefore = !this.prevChar || /\s/.test(this.prevChar);
+    const spaceAfter = !next || /\s/.test(next);
+    let toggled = false;
+
+    if (char === '`') {
+      if (inline.code === run.length || (!inline.code && !spaceAfter)) {
+        inline.code = inline.code ? 0 : run.length;
+        toggled = true;
+      }
+    } else if (inline.code) {
+      // Markers are literal inside code spans
+    } else if (char === '~') {
+      if (run.length === 2 && (inline.strike ? !spaceBefore : !spaceAfter)) {
+        inline.strike = !inline.strike;
+        toggled = true;
+      }
+    } else if (run.length <= 3) {
+      const intraword = char === '_' && /[\p{L}\p{N}]/u.test(this.prevChar) && /[\p{L}\p{N}]/u.test(next);
+      const styles = run.length === 3 ? ['bold', 'italic'] : run.length === 2 ? ['bold'] : ['italic'];
+      if (!intraword && !spaceBefore && styles.every(style => inline[style])) {
+        styles.forEach(style => { inline[style] = false; });
+        toggled = true;
+      } else if (!intraword && !spaceAfter && styles.every(style => !inline[style])) {
+        styles.forEach(style => { inline[style] = true; });
+        toggled = true;
+      }
+    }
+
+    if (toggled) {
+      this.prevChar = char;
+    } else {
+      this.text(run);
+    }
+  }
+
+  // Render buffered table rows with aligned columns (rows without a separator line stay as text)
+  flushTable() {
+    const rows = this.table.map(line => line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+      .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|')));
+    const lines = this.table;
+    const eol = this.tableEndsLine ? '\n' : '';
+    this.table = [];
+
+    const renderInline = (text, style) => {
+      const renderer = new MarkdownRenderer();
+      renderer.block = 'inline';
+      renderer.lineStyle = style;
+      return renderer.write(text) + renderer.end();
+    };
+
+    const separator = rows[1];
+    if (rows.length < 2 || !separator.every(cell => /^:?-+:?$/.test(cell))) {
+      this.raw(lines.map(line => renderInline(line, '')).join('\n') + eol);
+      return;
+    }
+
+    const columns = rows[0].length;
+    const align = separator.map(cell => cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : 'left');
+    const body = [rows[0], ...rows.slice(2)].map((row, index) => {
+      const style = index === 0 ? Colors.LLM_RESPONSE + Colors.BRIGHT : '';
+      return Array.from({ length: columns }, (_, column) => {
+        const text = renderInline(row[column] || '', style);
+        return { text, width: displayWidth(text.replace(/\x1b\[[0-9;]*m/g, '')) };
+      });
+    });
+    const widths = Array.from({ length: columns }, (_, column) => Math.max(...body.map(row => row[column].width)));
+    const border = text => `${Colors.DIM}${text}${Colors.RESET}`;
+
+    const formatRow = row => row.map(({ text, width }, column) => {
+      const space = widths[column] - width;
+      if (align[column] === 'right') return ' '.repeat(space) + text;
+      if (align[column] === 'center') return ' '.repeat(Math.floor(space / 2)) + text + ' '.repeat(Math.ceil(space / 2));
+      return text + ' '.repeat(space);
+    }).join(border(' │ '));
+    const rule = border(widths.map(width => '─'.repeat(width)).join('─┼─'));
+
+    this.raw([formatRow(body[0]), rule, ...body.slice(1).map(formatRow)].join('\n') + eol);
+  }
+}
+
+/**
+ * LINE DIFF
+ *
+ * Minimal line diff used for edit previews. The common prefix and suffix are
+ * skipped and only the changed middle is aligned with an LCS table, which
+ * keeps typical edits cheap even in large files.
+ *
+ * diffLines() returns one operation per line: { type: ' ' | '-' | '+', text,
+ * oldLine, newLine } (1-based line numbers, null on the side a line is absent).
+ * diffHunks() groups the operations into unified-diff hunks with context.
+ */
+function diffLines(before, after) {
+  const a = before === '' ? [] : before.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  const b = after === '' ? [] : after.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const ops = [];
+  const keep = (i, j) => ops.push({ type: ' ', text: a[i], oldLine: i + 1, newLine: j + 1 });
+  const remove = (i) => ops.push({ type: '-', text: a[i], oldLine: i + 1, newLine: null });
+  const add = (j) => ops.push({ type: '+', text: b[j], oldLine: null, newLine: j + 1 });
+
+  for (let i = 0; i < prefix; i++) {
+    keep(i, i);
+  }
+
+  const oldEnd = a.length - suffix;
+  const newEnd = b.length - suffix;
+  const rows = oldEnd - prefix;
+  const cols = newEnd - prefix;
+
+  if (rows * cols > DIFF_MAX_CELLS) {
+    for (let i = prefix; i < oldEnd; i++) remove(i);
+    for (let j = prefix; j < newEnd; j++) add(j);
+  } else {
+    // lcs[i][j]: length of the longest common subsequence of a[prefix + i..] and b[prefix + j..]
+    const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i][j] = a[prefix + i] === b[prefix + j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && a[prefix + i] === b[prefix + j]) {
+        keep(prefix + i++, prefix + j++);
+      } else if (i < rows && (j === cols || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        remove(prefix + i++);
+      } else {
+        add(prefix + j++);
+      }
+    }
+  }
+
+  for (let k = 0; k < suffix; k++) {
+    keep(oldEnd + k, newEnd + k);
+  }
+  return ops;
+}
+
+function diffHunks(ops, context = DIFF_CONTEXT_LINES) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  ops.forEach((op, index) => {
+    if (op.type === ' ') {
+      return;
+    }
+    // Start a new hunk unless this change is close enough to the previous one to share context
+    if (!current || index - lastChange > context * 2) {
+      current = { start: Math.max(index - context, 0), end: index };
+      hunks.push(current);
+    }
+    current.end = index;
+    lastChange = index;
+  });
+
+  return hunks.map(({ start, end }) => {
+    const hunkOps = ops.slice(start, Math.min(end + context + 1, ops.length));
+    const oldLines = hunkOps.filter(op => op.type !== '+');
+    const newLines = hunkOps.filter(op => op.type !== '-');
+    // Line numbers before the first line on each side, for hunks that only add or only remove
+    const before = ops.slice(0, start);
+    return {
+      oldStart: oldLines.length ? oldLines[0].oldLine : before.filter(op => op.type !== '+').length,
+      oldCount: oldLines.length,
+      newStart: newLines.length ? newLines[0].newLine : before.filter(op => op.type !== '-').length,
+      newCount: newLines.length,
+      ops: hunkOps
+    };
+  });
+}
+
+/**
+ * PATCHES
+ *
+ * parseUnifiedDiff() reads a unified diff (git diff / diff -u) into files and
+ * hunks. findClosestRegion() locates the part of a file that best matches
+ * some text, so failed edits can point the model at what it probably meant
+ * (typically the same lines with different whitespace).
+ */
+function parseUnifiedDiff(patch) {
+  const lines = patch.replace(/\r\n/g, '\n').split('\n');
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  const stripPrefix = (name) => {
+    const cleaned = name.split('\t')[0].trim();
+    return cleaned === '/dev/null' ? null : cleaned.replace(/^[ab]\//, '');
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+      file = { oldPath: stripPrefix(line.slice(4)), newPath: stripPrefix(lines[i + 1].slice(4)), hunks: [] };
+      files.push(file);
+      hunk = null;
+      i++;
+      continue;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      if (!file) {
+        throw new Error(`hunk header before any "---"/"+++" file header: ${line}`);
+      }
+      hunk = {
+        header: header[0],
+        oldStart: parseInt(header[1], 10),
+        newStart: parseInt(header[3], 10),
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) {
+      continue; // diff --git, index, mode lines and other preamble
+    }
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file", for the old side after a removed line, else for the new side
+      const previous = hunk.lines[hunk.lines.length - 1];
+      if (previous && previous.type === '-') {
+        hunk.oldNoNewline = true;
+      } else {
+        hunk.newNoNewline = true;
+      }
+    } else if (line[0] === ' ' || line[0] === '-' || line[0] === '+') {
+      hunk.lines.push({ type: line[0], text: line.slice(1) });
+    } else if (line === '') {
+      // Editors and models often strip the single space of empty context lines
+      if (i < lines.length - 1) {
+        hunk.lines.push({ type: ' ', text: '' });
+      }
+    } else {
+      hunk = null;
+    }
+  }
+
+  if (files.length === 0) {
+    throw new Error('no file headers ("--- a/path" / "+++ b/path") found');
+  }
+  for (const patchFile of files) {
+    // Trailing empty "context" lines come from the end of the patch text, not the diff
+    for (const patchHunk of patchFile.hunks) {
+      while (patchHunk.lines.length && patchHunk.lines[patchHunk.lines.length - 1].type === ' ' && patchHunk.lines[patchHunk.lines.length - 1].text === '') {
+        patchHunk.lines.pop();
+      }
+    }
+  }
+  return files;
+}
+
+// Similarity of two lines in [0, 1], ignoring whitespace differences
+function lineSimilarity(a, b) {
+  const x = a.trim().replace(/\s+/g, ' ');
+  const y = b.trim().replace(/\s+/g, ' ');
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  // Dice coefficient over character bigrams
+  const bigrams = new Map();
+  for (let i = 0; i < x.length - 1; i++) {
+    const bigram = x.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  let shared = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const bigram = y.slice(i, i + 2);
+    if (bigrams.get(bigram) > 0) {
+      bigrams.set(bigram, bigrams.get(bigram) - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (x.length + y.length - 2);
+}
+
+// Best matching window of fileLines for searchLines: { start (0-based), score } or null
+function findClosestRegion(fileLines, searchLines) {
+  if (searchLines.length === 0 || fileLines.length === 0) {
+    return null;
+  }
+
+  const windowSize = Math.min(searchLines.length, fileLines.length);
+  // Large searches only compare whitespace-normalised equality to stay fast
+  const similarity = fileLines.length * windowSize > DIFF_MAX_CELLS / 4
+    ? (a, b) => (a.trim().replace(/\s+/g, ' ') === b.trim().replace(/\s+/g, ' ') ? 1 : 0)
+    : lineSimilarity;
+
+  let best = null;
+  for (let start = 0; start + windowSize <= fileLines.length; start++) {
+    let total = 0;
+    for (let j = 0; j < windowSize; j++) {
+      total += similarity(fileLines[start + j], searchLines[j]);
+    }
+    const score = total / searchLines.length;
+    if (!best || score > best.score) {
+      best = { start, score };
+    }
+  }
+  return best;
+}
+
+// Terminal columns taken by a code point: 0 for combining marks, 2 for wide East Asian and emoji
+function charWidth(codePoint) {
+  if (codePoint < 0x20 || (codePoint >= 0x7f && codePoint < 0xa0)) return 0;
+  if ((codePoint >= 0x300 && codePoint <= 0x36f) || (codePoint >= 0x200b && codePoint <= 0x200f) ||
+    (codePoint >= 0xfe00 && codePoint <= 0xfe0f)) return 0;
+  if ((codePoint >= 0x1100 && codePoint <= 0x115f) || (codePoint >= 0x2e80 && codePoint <= 0xa4cf) ||
+    (codePoint >= 0xac00 && codePoint <= 0xd7a3) || (codePoint >= 0xf900 && codePoint <= 0xfaff) ||
+    (codePoint >= 0xfe30 && codePoint <= 0xfe4f) || (codePoint >= 0xff00 && codePoint <= 0xff60) ||
+    (codePoint >= 0xffe0 && codePoint <= 0xffe6) || (codePoint >= 0x1f300 && codePoint <= 0x1faff) ||
+    (codePoint >= 0x20000 && codePoint <= 0x3fffd)) return 2;
+  return 1;
+}
+
+// Terminal columns taken by text without ANSI escapes
+function displayWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += charWidth(char.codePointAt(0));
+  }
+  return width;
+}
+
+// Split text into rows of at most `width` terminal columns, breaking at spaces where possible
+function wrapText(text, width) {
+  const rows = [];
+  for (const line of text.replace(/\t/g, '    ').split('\n')) {
+    const chars = [...line];
+    let start = 0;
+    while (true) {
+      let used = 0;
+      let end = start;
+      while (end < chars.length && used + charWidth(chars[end].codePointAt(0)) <= width) {
+        used += charWidth(chars[end].codePointAt(0));
+        end++;
+      }
+      if (end >= chars.length) {
+        rows.push(chars.slice(start).join(''));
+        break;
+      }
+      const space = chars.lastIndexOf(' ', end);
+      const cut = space > start ? space : Math.max(end, start + 1);
+      rows.push(chars.slice(start, cut).join(''));
+      start = space > start ? space + 1 : cut;
+    }
+  }
+  return rows;
+}
+
+// Whether filePath is dir or somewhere below it (both absolute and resolved)
+function isPathInside(filePath, dir) {
+  return filePath === dir || filePath.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+}
+
+// Fuzzy match for path completion: a score (lower is better) when every query character appears in order, else null
+function fuzzyScore(query, candidate) {
+  const text = candidate.toLowerCase();
+  const needle = query.toLowerCase();
+  let position = -1;
+  let gaps = 0;
+  for (const char of needle) {
+    const next = text.indexOf(char, position + 1);
+    if (next === -1) {
+      return null;
+    }
+    gaps += next - position - 1;
+    position = next;
+  }
+  // Prefer hits in the file name, then tight matches, then short paths
+  const inName = path.posix.basename(text.replace(/\/$/, '')).includes(needle) ? 0 : 1000;
+  return inName + gaps * 10 + text.length;
+}
+
+// Levenshtein distance, used to suggest model names close to a mistyped one
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * IGNORE FILES
+ *
+ * .gitignore / .ignore rules, parsed once per directory while walking the
+ * workspace. A pattern without a slash matches a name at any depth below its
+ * directory; with a slash it is anchored to that directory. A trailing slash
+ * limits it to directories, a leading ! re-includes. The last matching rule
+ * wins, deeper files after shallower ones.
+ */
+function parseIgnoreFile(content, baseDir) {
+  const rules = [];
+  for (let line of content.replace(/\r\n/g, '\n').split('\n')) {
+    line = line.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const negate = line.startsWith('!');
+    let pattern = (negate ? line.slice(1) : line).replace(/^\\([#!])/, '$1');
+    const dirOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (pattern) {
+      rules.push({ baseDir, pattern, negate, dirOnly, anchored });
+    }
+  }
+  return rules;
+}
+
+// Whether relPath (relative to the workspace root, with / separators) is ignored by the rules
+function isIgnoredPath(relPath, isDirectory, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) {
+      continue;
+    }
+    if (rule.baseDir && !relPath.startsWith(`${rule.baseDir}/`)) {
+      continue;
+    }
+
+    const relative = rule.baseDir ? relPath.slice(rule.baseDir.length + 1) : relPath;
+    const subject = rule.anchored ? relative : relative.split('/').pop();
+    if (minimatch(subject, rule.pattern, { dot: true })) {
+      ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+/**
+ * XML ESCAPING IMPLEMENTATION
+ * 
+ * This script properly handles XML escaping/unescaping as documented in docs/system.md.
+ * When the LLM sends function calls with XML-escaped content in <parameter> tags,
+ * this implementation:
+ * 
+ * 1. Parses the XML using xml2js 
+ * 2. Extracts parameter content (which may contain XML entities)
+ * 3. Unescapes XML entities back to original characters:
+ *    - &lt; → <
+ *    - &gt; → >
+ *    - &amp; → &
+ *    - &quot; → "
+ *    - &apos; → '
+ * 4. Validates content and provides warnings for potential escaping issues
+ * 
+ * This ensures that file content, terminal commands, and other parameters
+ * containing special characters are properly restored to their intended form.
+ */
+
+class OllamaChat {
+  // options.headless: { format } to run without the interactive REPL (see runHeadless)
+  // options.settings: command line settings ({ profile, host, model, toolMode, permissionMode })
+  constructor(options = {}) {
+    this.headless = options.headless ? { format: options.headless.format || 'text', trace: [] } : null;
+    this.cliSettings = options.settings || {};
+    this.currentInput = '';
+    this.cursorPos = 0;
+    this.conversationHistory = []; // Add conversation memory
+    this.backgroundProcesses = new Map(); // Store background processes by ID
+    this.nextProcessId = 1; // Auto-incrementing process ID
+    this.checkpoints = []; // File snapshots per user turn, for /undo and /rewind
+    this.pendingImages = []; // Images read by tools, attached after the tool results
+    // Markdown styling for responses, plain text when stdout is not a terminal or NO_COLOR is set
+    this.markdown = process.stdout.isTTY && !process.env.NO_COLOR ? new MarkdownRenderer() : null;
+    this.showThinking = true; // Ctrl+T hides reasoning text behind a one-line notice
+    this.thinking = null; // Reasoning block being streamed: { text, notified }
+    this.lastThinking = ''; // Reasoning of the last response, shown boxed when Ctrl+T turns thinking on
+    this.lastToolResult = ''; // Last tool result, shown in full with Ctrl+O
+
+    // Line editor state (see LINE EDITOR)
+    this.inputHistory = []; // Previous prompts for this project, oldest first
+    this.historyIndex = 0; // Position while browsing with Up/Down (inputHistory.length = the live input)
+    this.historyDraft = ''; // The live input, kept while browsing history
+    this.historySearch = null; // Ctrl+R state: { query, index, failed, saved }
+    this.killBuffer = ''; // Text removed by Ctrl+K/U/W, pasted back with Ctrl+Y
+    this.inputRender = null; // Rows of the last input redraw: { cursorRow, rows }
+    this.pendingCtrlX = false; // Ctrl+X waiting for Ctrl+E
+
+    // Cancellation (Esc / first Ctrl+C) of the running agent loop
+    this.isBusy = false; // True while an agent loop or slash command is running
+    this.queuedInput = null; // Input submitted while busy, sent when the loop finishes
+    this.cancelRequested = false;
+    this.abortController = null; // Aborts the in-flight chat request
+    this.foregroundProcesses = new Set(); // Children a tool call is waiting on
+    this.lastInterruptTime = 0;
+
+    // Paste detection: bracketed paste when the terminal supports it, keypress timing otherwise
+    this.bracketedPaste = null; // Text received since ESC[200~, until ESC[201~
+    this.bracketedPasteSeen = false; // Once the terminal sends paste markers the timing heuristic is off
+    this.pastedBlocks = new Map(); // Placeholder -> full text of collapsed pastes
+    this.pasteBuffer = '';
+    this.lastKeypressTime = 0;
+    this.pasteTimeout = null;
+    this.isPasting = false;
+    this.pasteThreshold = 10; // Milliseconds between keypress events to consider it pasting
+
+    // Logging setup
+    this.startTime = new Date();
+    this.setupLogging();
+    this.setupSession();
+    this.pendingPicker = null; // Active list picker, driven by arrow keys and Enter
+
+    // Tool registry (must exist before system instructions are generated)
+    this.loadConfig(); // Sets this.model (switched at runtime with /model), this.baseUrl and this.apiKey
+    this.contextLength = this.setting('numCtx') || DEFAULT_CONTEXT_LENGTH; // Refined by detectContextLength()
+    this.loadWorkspace();
+    this.loadPermissions();
+    this.pendingChoice = null; // Active y/n/always question, answered by the next keypress
+    this.tools = new ToolRegistry({
+      authorize: (name, tool, params) => this.authorizeToolCall(name, tool, params)
+    });
+    this.registerBuiltinTools();
+    this.registerActionTools();
+    this.commands = new Map(); // Slash commands by name (without the leading /)
+    this.registerSlashCommands();
+    this.loadPromptCommands();
+
+    // Read-only mode removes every tool that edits files
+    if (this.workspace.readOnly) {
+      for (const name of this.tools.names()) {
+        if (this.tools.get(name).permission?.kind === 'edit') {
+          this.tools.remove(name);
+        }
+      }
+    }
+
+    this.loadSystemInstructions(); // Load system instructions on startup
+
+    // A dev server started by the model must not outlive the session
+    process.on('exit', () => this.stopBackgroundProcesses());
+    for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+      process.on(signal, () => process.exit(1));
+    }
+
+    if (!this.headless) {
+      this.setupReadline();
+    }
+  }
+
+  setupLogging() {
+    // Create logs directory if it doesn't exist
+    const logsDir = path.join(__dirname, 'logs');
+    if (!fs.existsSync(logsDir)) {
+      fs.mkdirSync(logsDir, { recursive: true });
+    }
+
+    // Create log file with timestamp
+    const timestamp = this.startTime.toISOString().replace(/[:.]/g, '-').replace('T', '_').split('.')[0];
+    this.logFilePath = path.join(logsDir, `chat_${timestamp}.log`);
+
+    // Initialize log file
+    fs.writeFileSync(this.logFilePath, `=== Ollama Chat Session Started at ${this.startTime.toISOString()} ===\n`, 'utf8');
+  }
+
+  getElapsedTime() {
+    const elapsed = Date.now() - this.startTime.getTime();
+    const seconds = (elapsed / 1000).toFixed(3);
+    return `[+${seconds}s]`;
+  }
+
+  writeToStdout(text) {
+    // Write to stdout (headless mode keeps stdout for the result only)
+    if (!this.headless) {
+      process.stdout.write(text);
+    }
+
+    // Also write to log file with timestamp
+    try {
+      const timestamp = this.getElapsedTime();
+      fs.appendFileSync(this.logFilePath, `${timestamp} ${text}`, 'utf8');
+    } catch (error) {
+      // Silently ignore logging errors to avoid disrupting the main flow
+    }
+  }
+
+  /**
+   * CONFIG
+   *
+   * Settings are merged from the user file (~/.config/ollama-code/config.json)
+   * and the project file (.ollama-code/config.json in the working directory).
+   * The connection settings in SETTING_ENV_VARS (host, model, apiKey,
+   * temperature, numCtx, toolMode, permissionMode) can be set at the top level
+   * or in named profiles, chosen with --profile, OLLAMA_PROFILE or "profile":
+   *
+   *   { "profile": "local",
+   *     "profiles": { "local": { "host": "http://localhost:11434" },
+   *                   "wsl": { "host": "http://172.24.0.1:11434", "model": "qwen3:8b" } } }
+   *
+   * Per-model settings live under "models":
+   *
+   *   { "models": { "qwen3:8b": { "toolMode": "ollama", "numCtx": 16384 }, "llama3.2": { "toolMode": "openai" } } }
+   *
+   * numCtx is the context length; without it a num_ctx from the model's Modelfile (/api/show) is used.
+   * "commandTimeout" (seconds) is the default timeout for foreground commands.
+   */
+  loadConfig() {
+    const userFile = path.join(os.homedir(), '.config', 'ollama-code', 'config.json');
+    const files = [userFile, path.join(process.cwd(), '.ollama-code', 'config.json')];
+
+    this.config = { models: {}, profiles: {}, settings: {}, profile: null, commandTimeout: DEFAULT_COMMAND_TIMEOUT };
+    let defaultProfile = null;
+    for (const file of files) {
+      if (!fs.existsSync(file)) {
+        continue;
+      }
+      try {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const allowed = file === userFile ? Object.keys(SETTING_ENV_VARS) : PROJECT_SETTINGS;
+        const ignored = new Set();
+        const pick = (settings = {}) => {
+          const picked = {};
+          for (const [key, value] of Object.entries(settings)) {
+            if (allowed.includes(key)) {
+              picked[key] = value;
+            } else if (SETTING_ENV_VARS[key]) {
+              ignored.add(key);
+            }
+          }
+          return picked;
+        };
+
+        if (Number.isInteger(config.commandTimeout) && config.commandTimeout >= 0) {
+          this.config.commandTimeout = config.commandTimeout;
+        }
+        for (const [model, settings] of Object.entries(config.models || {})) {
+          this.config.models[model] = { ...this.config.models[model], ...pick(settings) };
+        }
+        for (const [name, settings] of Object.entries(config.profiles || {})) {
+          this.config.profiles[name] = { ...this.config.profiles[name], ...pick(settings) };
+        }
+        Object.assign(this.config.settings, pick(config));
+        if (ignored.size > 0) {
+          console.log(this.formatSystemMessage(`Ignoring ${[...ignored].join(', ')} in ${file}: only allowed in ${userFile}`));
+        }
+        defaultProfile = config.profile || defaultProfile;
+      } catch (error) {
+        console.log(this.formatSystemMessage(`Error loading config from ${file}: ${error.message}`));
+      }
+    }
+
+    const profile = this.cliSettings.profile || process.env.OLLAMA_PROFILE || defaultProfile;
+    if (profile && this.config.profiles[profile]) {
+      this.config.profile = profile;
+    } else if (profile) {
+      const available = Object.keys(this.config.profiles);
+      console.log(this.formatSystemMessage(`Unknown profile "${profile}"${available.length > 0 ? ` (available: ${available.join(', ')})` : ''}`));
+    }
+
+    this.model = this.setting('model') || DEFAULT_MODEL;
+    const host = String(this.setting('host') || DEFAULT_HOST).replace(/\/+$/, '');
+    this.baseUrl = host.endsWith('/v1') ? host : `${host}/v1`;
+    this.apiKey = this.setting('apiKey');
+    this.toolMode = this.resolveToolMode(this.model);
+  }
+
+  /**
+   * A setting in precedence order: command line flag, environment variable,
+   * selected profile, the model's entry under "models", then the top level of
+   * the config files (project over user). Undefined when nothing sets it.
+   */
+  setting(key, model = this.model) {
+    const env = SETTING_ENV_VARS[key].map(name => process.env[name]).find(Boolean);
+    const profile = this.config.profiles[this.config.profile] || {};
+    return [this.cliSettings[key], env, profile[key], this.config.models[model]?.[key], this.config.settings[key]]
+      .find(value => value !== undefined && value !== null && value !== '');
+  }
+
+  // Tool mode for a model (see setting()), else XML
+  resolveToolMode(model) {
+    const toolMode = this.setting('toolMode', model) || 'xml';
+    if (!TOOL_MODES.includes(toolMode)) {
+      console.log(this.formatSystemMessage(`Unknown tool mode "${toolMode}", using "xml"`));
+      return 'xml';
+    }
+    return toolMode;
+  }
+
+  // System prompt from docs/system.md with the tool section generated from the registry
+  buildSystemPrompt(systemTemplate) {
+    const isXml = this.toolMode === 'xml';
+
+    // Sections wrapped in <!-- xml-only --> only apply to the XML protocol
+    const template = isXml
+      ? systemTemplate.replace(/<!-- \/?xml-only -->\r?\n?/g, '')
+      : systemTemplate.replace(/<!-- xml-only -->[\s\S]*?<!-- \/xml-only -->\r?\n?/g, '');
+
+    // In native modes the tool schemas travel in the request, so only the workspace rules are needed
+    const toolSection = isXml
+      ? `${this.tools.describe()}\n\n${this.describeWorkspace()}`
+      : `## Tools\nCall tools through the native tool-calling interface. Never write tool calls as text or XML.\n\n${this.describeWorkspace()}`;
+
+    return template.includes('{{TOOLS}}')
+      ? template.replace('{{TOOLS}}', () => toolSection)
+      : `${template}\n\n${toolSection}`;
+  }
+
+  /**
+   * SESSIONS
+   *
+   * Each conversation is saved as JSON in ~/.config/ollama-code/sessions/<id>.json
+   * after every turn: model, cwd, timestamps and the full message history
+   * (including tool calls and results, but not the system prompt, which is
+   * regenerated on load). --continue reopens the latest session for the
+   * current directory; --resume [id] restores any session.
+   */
+  setupSession() {
+    this.sessionsDir = path.join(os.homedir(), '.config', 'ollama-code', 'sessions');
+    this.session = this.createSession();
+  }
+
+  createSession() {
+    const now = new Date();
+    return {
+      id: now.toISOString().replace(/[:.]/g, '-').replace('T', '_'),
+      model: this.model,
+      cwd: process.cwd(),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+  }
+
+  saveSession() {
+    // Image data stays out of session files; the message text still names the image
+    const messages = this.conversationHistory
+      .filter(msg => msg.role !== 'system')
+      .map(({ images, ...msg }) => msg);
+    if (messages.length === 0) {
+      return;
+    }
+
+    try {
+      // Sessions hold prompts, tool output and file contents; keep them private like the input history
+      fs.mkdirSync(this.sessionsDir, { recursive: true, mode: 0o700 });
+      this.session.updatedAt = new Date().toISOString();
+      this.session.model = this.model;
+      const firstUserMessage = messages.find(msg => msg.role === 'user');
+      const data = {
+        ...this.session,
+        title: this.session.title || (firstUserMessage ? firstUserMessage.content.split('\n')[0].slice(0, 80) : ''),
+        messages
+      };
+      fs.writeFileSync(path.join(this.sessionsDir, `${this.session.id}.json`), JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+      // Silently ignore session errors to avoid disrupting the main flow
+    }
+  }
+
+  // Saved sessions, most recently updated first (optionally only those for one directory)
+  listSessions(cwd = null) {
+    if (!fs.existsSync(this.sessionsDir)) {
+      return [];
+    }
+
+    const sessions = [];
+    for (const file of fs.readdirSync(this.sessionsDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const session = JSON.parse(fs.readFileSync(path.join(this.sessionsDir, file), 'utf8'));
+        if (!cwd || session.cwd === cwd) {
+          sessions.push(session);
+        }
+      } catch (error) {
+        // Skip unreadable session files
+        continue;
+      }
+    }
+
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // Replace the conversation with a saved session and re-render its transcript
+  restoreSession(session) {
+    const systemMessages = this.conversationHistory.filter(msg => msg.role === 'system');
+    this.conversationHistory = [...systemMessages, ...session.messages];
+    this.session = {
+      id: session.id,
+      title: session.title,
+      model: session.model,
+      cwd: session.cwd,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+
+    console.log(this.formatSystemMessage(`Resumed session ${session.id} (${session.messages.length} messages, model ${session.model})`));
+    if (session.model !== this.model) {
+      console.log(this.formatSystemMessage(`Note: session was recorded with ${session.model}, continuing with ${this.model}`));
+    }
+    this.renderTranscript(session.messages);
+  }
+
+  renderTranscript(messages) {
+    for (const message of messages) {
+      if (message.role === 'user' && message.content.trimStart().startsWith('<function_results>')) {
+        this.writeFunctionResult(message.content);
+      } else if (message.role === 'user') {
+        this.writeToStdout(`\n${this.formatUserInput(`>>> ${message.content.replace(/\n/g, '\n... ')}`)}\n`);
+      } else if (message.role === 'assistant') {
+        this.streamState = null;
+        if (message.content) {
+          this.processStreamContent(message.content);
+        }
+        this.flushStreamState();
+        for (const toolCall of message.tool_calls || []) {
+          const parameters = this.parseToolArguments(toolCall.function.arguments);
+          this.writeToStdout(this.formatToolCall(toolCall.function.name, parameters));
+        }
+        this.writeToStdout('\n');
+      } else if (message.role === 'tool') {
+        this.writeFunctionResult(message.content);
+      }
+    }
+    this.writeToStdout('\n');
+  }
+
+  // Interactive session picker; resolves with the chosen session or null
+  async pickSession() {
+    const sessions = this.listSessions().slice(0, 20);
+    if (sessions.length === 0) {
+      return null;
+    }
+
+    const items = sessions.map(session => {
+      const date = new Date(session.updatedAt).toLocaleString();
+      const place = session.cwd === process.cwd() ? '' : ` ${Colors.DIM}${session.cwd}${Colors.RESET}`;
+      return `${date}  ${session.title || '(untitled)'}  (${session.messages.length} messages)${place}`;
+    });
+    const index = await this.pickFromList('Resume a session', items);
+    return index === null ? null : sessions[index];
+  }
+
+  /**
+   * Show a list and resolve with the selected index (Up/Down + Enter), or null on Esc.
+   * Keypresses are routed here by handleKeypress while the picker is open.
+   */
+  pickFromList(title, items) {
+    if (!process.stdin.isTTY) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      this.pendingPicker = { title, items, selected: 0, resolve, rendered: 0 };
+      this.renderPicker();
+    });
+  }
+
+  renderPicker() {
+    const picker = this.pendingPicker;
+    if (picker.rendered > 0) {
+      process.stdout.write(`\x1b[${picker.rendered}A\r\x1b[J`); // Move back to the top of the list and clear it
+    }
+
+    const lines = [`${Colors.BRIGHT}${picker.title}${Colors.RESET} ${Colors.DIM}(↑/↓ to move, Enter to select, Esc to cancel)${Colors.RESET}`];
+    picker.items.forEach((item, index) => {
+      lines.push(index === picker.selected ? `${Colors.CYAN}❯ ${item}${Colors.RESET}` : `  ${item}`);
+    });
+    process.stdout.write(lines.join('\n') + '\n');
+    picker.rendered = lines.length;
+  }
+
+  handlePickerKeypress(key) {
+    const picker = this.pendingPicker;
+
+    if (key.name === 'up' || key.name === 'down') {
+      const step = key.name === 'up' ? -1 : 1;
+      picker.selected = (picker.selected + step + picker.items.length) % picker.items.length;
+      this.renderPicker();
+      return;
+    }
+
+    if (key.name === 'return' || key.name === 'enter' || key.name === 'escape') {
+      this.pendingPicker = null;
+      picker.resolve(key.name === 'escape' ? null : picker.selected);
+    }
+  }
+
+  /**
+   * SLASH COMMANDS
+   *
+   * Input starting with / is routed to a command instead of the model.
+   * Built-in commands are registered in registerSlashCommands(); custom
+   * commands are markdown prompt templates in .ollama-code/commands/<name>.md
+   * (project) or ~/.config/ollama-code/commands/<name>.md (user). A template
+   * is sent to the model as a message, with $ARGUMENTS replaced by whatever
+   * follows the command name.
+   *
+   * A handler may return { prompt } to send a message to the model;
+   * otherwise the prompt is shown again once it finishes.
+   */
+  registerSlashCommand(command) {
+    this.commands.set(command.name, command);
+  }
+
+  registerSlashCommands() {
+    this.registerSlashCommand({
+      name: 'help',
+      description: 'List the available commands',
+      handler: () => this.showCommandHelp()
+    });
+
+    this.registerSlashCommand({
+      name: 'clear',
+      description: 'Clear the conversation and start a new session',
+      handler: () => this.clearConversation()
+    });
+
+    this.registerSlashCommand({
+      name: 'compact',
+      description: 'Summarise older turns to free up context',
+      handler: () => this.compactConversation()
+    });
+
+    this.registerSlashCommand({
+      name: 'model',
+      usage: '[name]',
+      description: 'Switch the model, or pick one from the server\'s list',
+      handler: (args) => args ? this.setModel(args) : this.showModels()
+    });
+
+    this.registerSlashCommand({
+      name: 'history',
+      description: 'List the messages in the conversation',
+      handler: () => this.showHistory()
+    });
+
+    this.registerSlashCommand({
+      name: 'save',
+      usage: '[title]',
+      description: 'Save the session now, optionally renaming it',
+      handler: (args) => {
+        if (!this.conversationHistory.some(msg => msg.role !== 'system')) {
+          console.log(this.formatSystemMessage('Nothing to save yet'));
+          return;
+        }
+        if (args) {
+          this.session.title = args;
+        }
+        this.saveSession();
+        console.log(this.formatSystemMessage(`Session saved: ${this.session.id}`));
+      }
+    });
+
+    this.registerSlashCommand({
+      name: 'load',
+      usage: '[id]',
+      description: 'Resume a saved session (picker without an ID)',
+      handler: async (args) => {
+        const session = args
+          ? this.listSessions().find(saved => saved.id === args || saved.id.startsWith(args))
+          : await this.pickSession();
+        if (session) {
+          this.restoreSession(session);
+        } else {
+          console.log(this.formatSystemMessage(args ? `No session found with ID: ${args}` : 'No session selected'));
+        }
+      }
+    });
+
+    this.registerSlashCommand({
+      name: 'undo',
+      description: 'Revert the file changes from the last turn that made any',
+      handler: () => this.undoLastTurn()
+    });
+
+    this.registerSlashCommand({
+      name: 'rewind',
+      description: 'Restore files and conversation to an earlier turn',
+      handler: () => this.rewind()
+    });
+
+    this.registerSlashCommand({
+      name: 'changes',
+      description: 'List the files changed this session',
+      handler: () => this.showChanges()
+    });
+
+    this.registerSlashCommand({
+      name: 'tools',
+      description: 'List the tools the model can call',
+      handler: () => {
+        for (const name of this.tools.names()) {
+          const description = this.tools.get(name).description || '';
+          console.log(`  ${Colors.CYAN}${name.padEnd(24)}${Colors.RESET} ${description.split('\n')[0]}`);
+        }
+      }
+    });
+
+    this.registerSlashCommand({
+      name: 'jobs',
+      usage: '[id | kill <id>]',
+      description: 'List background processes, show one\'s output or stop it',
+      handler: (args) => this.showJobs(args)
+    });
+
+    this.registerSlashCommand({
+      name: 'exit',
+      description: 'Exit the application',
+      handler: () => process.exit(0)
+    });
+  }
+
+  // Markdown prompt templates; project commands override user commands with the same name
+  loadPromptCommands() {
+    const dirs = [
+      path.join(os.homedir(), '.config', 'ollama-code', 'commands'),
+      path.join(process.cwd(), '.ollama-code', 'commands')
+    ];
+
+    for (const dir of dirs) {
+      if (!fs.existsSync(dir)) {
+        continue;
+      }
+      for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.md')).sort()) {
+        const name = path.basename(file, '.md');
+        const existing = this.commands.get(name);
+        if (existing && !existing.template) {
+          console.log(this.formatSystemMessage(`Prompt command /${name} skipped: a built-in command has that name`));
+          continue;
+        }
+
+        try {
+          const { description, template } = this.parsePromptTemplate(fs.readFileSync(path.join(dir, file), 'utf8'));
+          this.registerSlashCommand({
+            name,
+            usage: template.includes('$ARGUMENTS') ? '[arguments]' : undefined,
+            description: description || `Prompt from ${path.join(dir, file)}`,
+            template,
+            handler: (args) => ({ prompt: this.expandPromptTemplate(template, args) })
+          });
+        } catch (error) {
+          console.log(this.formatSystemMessage(`Error loading prompt command ${file}: ${error.message}`));
+        }
+      }
+    }
+  }
+
+  // Optional front matter (--- description: ... ---) followed by the prompt body
+  parsePromptTemplate(content) {
+    const text = content.replace(/\r\n/g, '\n');
+    const match = text.match(/^---\n([\s\S]*?)\n---\n?/);
+    if (!match) {
+      return { description: '', template: text.trim() };
+    }
+
+    const description = (match[1].match(/^description:\s*(.*)$/m) || [])[1] || '';
+    return { description: description.trim(), template: text.slice(match[0].length).trim() };
+  }
+
+  // Substitute $ARGUMENTS; arguments for a template without the placeholder are appended
+  expandPromptTemplate(template, args) {
+    if (template.includes('$ARGUMENTS')) {
+      return template.split('$ARGUMENTS').join(args);
+    }
+    return args ? `${template}\n\n${args}` : template;
+  }
+
+  // Run a /command line; resolves once the command (or the message it sent) is done
+  async executeSlashCommand(input) {
+    const [, name, args = ''] = input.trim().match(/^\/(\S+)\s*([\s\S]*)$/) || [];
+    const command = this.commands.get(name);
+    if (!command) {
+      console.log(this.formatSystemMessage(`Unknown command: /${name || ''} (type /help for a list)`));
+      this.showPrompt();
+      return;
+    }
+
+    // Busy while it runs: commands like /compact wait on the server, so input is queued and Esc cancels
+    this.isBusy = true;
+    this.cancelRequested = false;
+    let result;
+    try {
+      result = await command.handler(args.trim());
+    } catch (error) {
+      console.log(this.formatSystemMessage(`Error: /${name} failed: ${error.message}`));
+    } finally {
+      this.isBusy = false;
+      this.abortController = null;
+    }
+
+    if (result && result.prompt && !this.cancelRequested) {
+      this.writeToStdout(this.formatUserInput(`>>> ${result.prompt.replace(/\n/g, '\n... ')}`) + '\n');
+      await this.sendMessage(result.prompt);
+      return;
+    }
+    this.cancelRequested = false;
+    this.submitQueuedInput();
+  }
+
+  // Tab completion of a command name typed after /
+  completeSlashCommand() {
+    const match = this.currentInput.match(/^\/(\S*)$/);
+    if (!match || this.cursorPos !== this.currentInput.length) {
+      return;
+    }
+
+    const prefix = match[1];
+    const names = [...this.commands.keys()].filter(name => name.startsWith(prefix)).sort();
+    if (names.length === 0) {
+      return;
+    }
+
+    if (names.length === 1) {
+      this.currentInput = `/${names[0]} `;
+    } else {
+      // Extend to the longest common prefix, and list the candidates when that adds nothing
+      let common = names[0];
+      for (const name of names) {
+        while (!name.startsWith(common)) {
+          common = common.slice(0, -1);
+        }
+      }
+      if (common.length > prefix.length) {
+        this.currentInput = `/${common}`;
+      } else {
+        this.moveToInputEnd();
+        this.writeToStdout('\n' + this.formatSystemMessage(names.map(name => `/${name}`).join('  ')) + '\n');
+      }
+    }
+    this.cursorPos = this.currentInput.length;
+    this.redrawLine();
+  }
+
+  showCommandHelp() {
+    const commands = [...this.commands.values()];
+    const labels = commands.map(command => `/${command.name}${command.usage ? ` ${command.usage}` : ''}`);
+    const width = Math.max(...labels.map(label => label.length)) + 2;
+
+    console.log(`${Colors.BRIGHT}Commands:${Colors.RESET}`);
+    commands.forEach((command, index) => {
+      console.log(`  ${labels[index].padEnd(width)}${command.description}`);
+    });
+    console.log(`${Colors.BRIGHT}Keys:${Colors.RESET}`);
+    console.log(`  ${'Enter'.padEnd(width)}Send message`);
+    console.log(`  ${'Alt+Enter'.padEnd(width)}New line`);
+    console.log(`  ${'Tab'.padEnd(width)}Complete a command name`);
+    console.log(`  ${'Ctrl+L'.padEnd(width)}Clear conversation history`);
+    console.log(`  ${'Ctrl+O'.padEnd(width)}Show the last tool result in full`);
+    console.log(`  ${'Ctrl+T'.padEnd(width)}Show or hide thinking output`);
+    console.log(`  ${'Esc / Ctrl+C'.padEnd(width)}Cancel the running answer or command`);
+    console.log(`  ${'Ctrl+C twice'.padEnd(width)}Exit`);
+  }
+
+  // Preserve system instructions while clearing conversation
+  clearConversation() {
+    const systemMessages = this.conversationHistory.filter(msg => msg.role === 'system');
+    this.conversationHistory = systemMessages;
+    // Reset stream state
+    this.streamState = null;
+    // Keep the old conversation resumable and start a fresh session file
+    this.session = this.createSession();
+    console.log(this.formatSystemMessage('Conversation history cleared'));
+  }
+
+  showHistory() {
+    const messages = this.conversationHistory.filter(msg => msg.role !== 'system');
+    if (messages.length === 0) {
+      console.log(this.formatSystemMessage('No messages yet'));
+      return;
+    }
+
+    messages.forEach((message, index) => {
+      let summary = (message.content || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim().split('\n')[0];
+      if (message.tool_calls) {
+        summary = `[tool calls: ${message.tool_calls.map(call => call.function.name).join(', ')}] ${summary}`;
+      }
+      const role = message.role === 'user' && message.content.trimStart().startsWith('<function_results>') ? 'tool' : message.role;
+      console.log(`${Colors.DIM}${String(index + 1).padStart(3)}${Colors.RESET} ${role.padEnd(9)} ${summary.slice(0, 100)}`);
+    });
+  }
+
+  showJobs(args = '') {
+    const [first, second] = args.split(/\s+/);
+    if (first === 'kill' && second) {
+      console.log(this.formatSystemMessage(this.killTerminal(second)));
+    } else if (first) {
+      console.log(this.getTerminalOutput(first, { tail: 20 }));
+    } else if (this.backgroundProcesses.size === 0) {
+      console.log(this.formatSystemMessage('No background processes'));
+    } else {
+      for (const [id, job] of this.backgroundProcesses) {
+        const status = job.isRunning ? `${Colors.GREEN}running${Colors.RESET}` : `${Colors.DIM}${this.describeJobStatus(job).toLowerCase()}${Colors.RESET}`;
+        const seconds = Math.round(((job.endTime || new Date()) - job.startTime) / 1000);
+        console.log(`  [${id}] ${status}  ${String(seconds).padStart(5)}s  ${job.command}`);
+      }
+    }
+  }
+
+  /**
+   * MODELS
+   *
+   * The server's models come from Ollama's /api/tags, or from /v1/models on
+   * OpenAI-compatible backends (which report neither size nor context length).
+   * Names are checked on startup and on /model so a typo is caught before the
+   * first request fails. Per-model details (/api/show) are only fetched for
+   * the /model listing.
+   */
+  async listModels() {
+    const host = this.baseUrl.replace(/\/v1$/, '');
+    const tags = await fetch(`${host}/api/tags`, { headers: this.buildHeaders() }).catch(() => null);
+    if (tags && tags.ok) {
+      const { models = [] } = await tags.json();
+      return models.map(model => ({ name: model.name, size: model.size }));
+    }
+
+    const response = await fetch(`${this.baseUrl}/models`, { headers: this.buildHeaders() });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const { data = [] } = await response.json();
+    return data.map(model => ({ name: model.id }));
+  }
+
+  // List the server's models and switch to the one picked
+  async showModels() {
+    let models;
+    try {
+      models = await this.listModels();
+    } catch (error) {
+      console.log(this.formatSystemMessage(`Model: ${this.model} (could not list the server's models: ${error.message})`));
+      return;
+    }
+    if (models.length === 0) {
+      console.log(this.formatSystemMessage(`Model: ${this.model} (the server reports no models)`));
+      return;
+    }
+
+    // The context the server runs each model with, else the one it was trained with
+    const contextLengths = await Promise.all(models.map(async model => {
+      if (!model.size) {
+        return null; // Not from Ollama's /api/tags, so there is no /api/show either
+      }
+      const details = await this.fetchModelDetails(model.name);
+      return details ? details.numCtx || details.trainedContextLength : null;
+    }));
+
+    const width = Math.max(...models.map(model => model.name.length));
+    const items = models.map((model, index) => {
+      const size = model.size ? this.formatBytes(model.size) : '';
+      const context = contextLengths[index] ? `${contextLengths[index]} ctx` : '';
+      const current = this.isSameModel(model.name, this.model) ? ` ${Colors.GREEN}(current)${Colors.RESET}` : '';
+      return `${model.name.padEnd(width)}  ${size.padStart(9)}  ${context.padStart(11)}`.trimEnd() + current;
+    });
+
+    const compactModel = this.setting('compactModel');
+    const roles = compactModel ? `, compaction: ${compactModel}` : '';
+    if (this.headless || !process.stdin.isTTY) {
+      console.log(this.formatSystemMessage(`Model: ${this.model}${roles}`));
+      items.forEach(item => console.log(`  ${item}`));
+      return;
+    }
+
+    if (this.cancelRequested) {
+      return; // Esc while the details were loading
+    }
+    const index = await this.pickFromList(`Switch model (current: ${this.model}${roles})`, items);
+    if (index !== null && !this.isSameModel(models[index].name, this.model)) {
+      await this.setModel(models[index].name);
+    }
+  }
+
+  // Ollama treats "name" and "name:latest" as the same model
+  normalizeModelName(name) {
+    return name.includes(':') ? name : `${name}:latest`;
+  }
+
+  isSameModel(a, b) {
+    return this.normalizeModelName(a) === this.normalizeModelName(b);
+  }
+
+  /**
+   * Whether the server has the model: true, false (after printing near
+   * matches), or null when the list can't be fetched.
+   */
+  async checkModel(model = this.model) {
+    let names;
+    try {
+      names = (await this.listModels()).map(entry => entry.name);
+    } catch (error) {
+      return null;
+    }
+    if (names.length === 0 || names.some(name => this.isSameModel(name, model))) {
+      return true;
+    }
+
+    const suggestions = names
+      .map(name => ({ name, distance: editDistance(this.normalizeModelName(model).toLowerCase(), this.normalizeModelName(name).toLowerCase()) }))
+      .filter(({ name, distance }) => distance <= Math.max(2, Math.floor(model.length / 3)) ||
+        name.split(':')[0] === model.split(':')[0])
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, 3)
+      .map(({ name }) => name);
+
+    const hint = suggestions.length > 0 ? ` Did you mean: ${suggestions.join(', ')}?` : ' Type /model to list the available models.';
+    console.log(this.formatSystemMessage(`Model "${model}" was not found on the server.${hint}`));
+    return false;
+  }
+
+  // Switch models mid-conversation: tool mode, system prompt and context length follow the new model
+  async setModel(model) {
+    if (await this.checkModel(model) === false) {
+      return;
+    }
+
+    this.model = model;
+    this.toolMode = this.resolveToolMode(model);
+    this.contextLength = this.setting('numCtx') || DEFAULT_CONTEXT_LENGTH;
+    this.reloadSystemInstructions();
+    await this.detectContextLength();
+    console.log(this.formatSystemMessage(`Model: ${model} (tools: ${this.toolMode}, context: ${this.contextLength} tokens)`));
+  }
+
+  // Regenerate the system prompt in place, e.g. after the tool mode changed
+  reloadSystemInstructions() {
+    const messages = this.conversationHistory.filter(msg => msg.role !== 'system');
+    this.conversationHistory = [];
+    this.loadSystemInstructions();
+    this.conversationHistory.push(...messages);
+  }
+
+  /**
+   * SYSTEM INSTRUCTIONS
+   *
+   * The system prompt is layered: the built-in tool guide (docs/system.md),
+   * then the user's ~/.config/ollama-code/instructions.md, then project files
+   * (AGENTS.md or .ollama-code/instructions.md) from the git root down to the
+   * working directory, so the most specific file comes last. A line holding
+   * only @path includes that file, relative to the file it appears in.
+   * An environment section (OS, shell, cwd, date, git branch, top-level
+   * listing) closes the prompt so the model doesn't have to look it up.
+   */
+  loadSystemInstructions() {
+    try {
+      const systemPath = path.join(__dirname, 'docs', 'system.md');
+      if (!fs.existsSync(systemPath)) {
+        console.log(this.formatSystemMessage('No system instructions found at docs/system.md'));
+        return;
+      }
+
+      // Generate tool documentation from the registry so it can't drift from the implementation
+      const sections = [this.buildSystemPrompt(fs.readFileSync(systemPath, 'utf8'))];
+      const loaded = ['docs/system.md'];
+      for (const { file, roots } of this.findInstructionFiles()) {
+        try {
+          const content = this.readInstructionFile(file, roots).trim();
+          if (content) {
+            sections.push(`## Instructions from ${this.displayPath(file)}\n\n${content}`);
+            loaded.push(this.displayPath(file));
+          }
+        } catch (error) {
+          console.log(this.formatSystemMessage(`Error loading instructions from ${file}: ${error.message}`));
+        }
+      }
+      sections.push(this.describeEnvironment());
+
+      // Add system instructions as the first message in conversation history
+      // This will be sent to the LLM but not displayed to the user
+      this.conversationHistory.push({
+        role: 'system',
+        content: sections.join('\n\n')
+      });
+      console.log(this.formatSystemMessage(`System instructions loaded from ${loaded.join(', ')}`));
+      console.log(this.formatSystemMessage(`Tools (${this.toolMode}): ${this.tools.names().join(', ')}`));
+    } catch (error) {
+      console.log(this.formatSystemMessage(`Error loading system instructions: ${error.message}`));
+    }
+  }
+
+  // User instruction file, then project files from the git root (or just the cwd outside a repo) down to the cwd.
+  // Each comes with the directories its @path includes may read from: the home directory for the
+  // user file, the project and workspace for project files (a cloned repo must not pull in ~/.ssh).
+  findInstructionFiles() {
+    const userFile = path.join(os.homedir(), '.config', 'ollama-code', 'instructions.md');
+
+    const cwd = process.cwd();
+    const dirs = [cwd];
+    for (let dir = cwd; !fs.existsSync(path.join(dir, '.git')); ) {
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        dirs.splice(1); // Not in a git repository: only the cwd itself
+        break;
+      }
+      dir = parent;
+      dirs.push(dir);
+    }
+
+    dirs.reverse();
+    const projectRoots = [...new Set([dirs[0], this.workspace.root, ...this.workspace.extraDirs].map(dir => fs.realpathSync(dir)))];
+    const files = [{ file: userFile, roots: [fs.realpathSync(os.homedir())] }];
+    for (const dir of dirs) {
+      files.push(...INSTRUCTION_FILES.map(name => ({ file: path.join(dir, name), roots: projectRoots })));
+    }
+    return files.filter(({ file }) => fs.existsSync(file) && fs.statSync(file).isFile());
+  }
+
+  // Instruction file contents with @path lines (outside code fences) replaced by the included file.
+  // Includes outside roots are left as plain lines; every file is cut at INSTRUCTION_MAX_BYTES.
+  readInstructionFile(filePath, roots, seen = new Set()) {
+    const realPath = fs.realpathSync(filePath);
+    if (!roots.some(root => isPathInside(realPath, root))) {
+      throw new Error(`${filePath} resolves outside ${roots.join(', ')}`);
+    }
+    if (seen.has(realPath) || seen.size >= INSTRUCTION_INCLUDE_DEPTH) {
+      return '';
+    }
+    const includes = new Set(seen).add(realPath);
+
+    let content;
+    const fd = fs.openSync(realPath, 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      const buffer = Buffer.alloc(Math.min(size, INSTRUCTION_MAX_BYTES));
+      content = buffer.subarray(0, fs.readSync(fd, buffer, 0, buffer.length, 0)).toString('utf8');
+      if (size > INSTRUCTION_MAX_BYTES) {
+        content += `\n[... ${this.displayPath(filePath)} truncated at ${this.formatBytes(INSTRUCTION_MAX_BYTES)}]`;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    let inFence = false;
+    return content.replace(/\r\n/g, '\n').split('\n').map(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+      }
+      const include = !inFence && line.trim().match(/^@(\S+)$/);
+      if (!include) {
+        return line;
+      }
+
+      const target = include[1].startsWith('~/')
+        ? path.join(os.homedir(), include[1].slice(2))
+        : path.resolve(path.dirname(realPath), include[1]);
+      if (!fs.existsSync(target) || !fs.statSync(target).isFile() ||
+        !roots.some(root => isPathInside(fs.realpathSync(target), root))) {
+        return line;
+      }
+      return this.readInstructionFile(target, roots, includes).trim();
+    }).join('\n');
+  }
+
+  // Facts about the machine and project the model would otherwise discover with tool calls
+  describeEnvironment() {
+    const root = this.workspace.root;
+    const lines = [
+      '## Environment',
+      `- OS: ${os.type()} ${os.release()} (${process.platform}, ${process.arch})`,
+      `- Shell: ${process.platform === 'win32' ? (process.env.ComSpec || 'cmd.exe') : (process.env.SHELL || '/bin/sh')}`,
+      `- Working directory: ${process.cwd()}`,
+      `- Date: ${new Date().toISOString().slice(0, 10)}`
+    ];
+
+    const git = spawnSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: root, encoding: 'utf8', timeout: 2000 });
+    if (git.status === 0 && git.stdout.trim()) {
+      lines.push(`- Git branch: ${git.stdout.trim()}`);
+    }
+
+    try {
+      const gitignore = path.join(root, '.gitignore');
+      const rules = parseIgnoreFile(DEFAULT_IGNORE_PATTERNS.join('\n'), '').concat(
+        fs.existsSync(gitignore) ? parseIgnoreFile(fs.readFileSync(gitignore, 'utf8'), '') : []);
+      const entries = fs.readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.name !== '.git' && !isIgnoredPath(entry.name, entry.isDirectory(), rules))
+        .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name)
+        .sort();
+
+      lines.push('', `Top-level contents of ${root}:`);
+      lines.push(...entries.slice(0, CONTEXT_LISTING_ENTRIES).map(name => `  ${name}`));
+      if (entries.length > CONTEXT_LISTING_ENTRIES) {
+        lines.push(`  ... and ${entries.length - CONTEXT_LISTING_ENTRIES} more`);
+      }
+    } catch (error) {
+      // Listing is best-effort
+    }
+    return lines.join('\n');
+  }
+
+  // Declare every built-in tool with its parameter schema and handler
+  registerBuiltinTools() {
+    this.tools.register({
+      name: 'run_in_terminal',
+      description: 'Execute a shell command. Use isBackground=true for long-running processes such as servers or watchers, then manage them with get_terminal_output, send_terminal_input and kill_terminal.',
+      parameters: {
+        command: { type: 'string', required: true, placeholder: 'EXACT_COMMAND', description: 'The command to run' },
+        explanation: { type: 'string', default: 'Running command', placeholder: 'What this does', description: 'One sentence describing what the command does' },
+        isBackground: { type: 'boolean', default: false, placeholder: 'false', description: 'Run without waiting for the command to finish' },
+        timeout: { type: 'integer', placeholder: 'SECONDS', description: `Seconds to wait for a foreground command before it is stopped or moved to the background (default: ${this.config.commandTimeout}, 0 = no limit)` }
+      },
+      returns: 'Exit code, duration and stdout/stderr (long output is truncated in the middle), or the ID of the background process',
+      permission: { kind: 'command', target: (params) => params.command },
+      handler: (params) => this.runInTerminal(params.command, params.explanation, params.isBackground, params.timeout)
+    });
+
+    this.tools.register({
+      name: 'get_terminal_output',
+      description: 'Check the status and output of a background process started with run_in_terminal. Pass the cursor from the previous call as since to get only new output.',
+      parameters: {
+        id: { type: 'integer', required: true, placeholder: 'PROCESS_ID_NUMBER', description: 'The ID returned when the background process was started' },
+        since: { type: 'integer', placeholder: 'CURSOR', description: 'Only return output after this cursor (from a previous call)' },
+        tail: { type: 'integer', placeholder: '50', description: 'Only return the last N lines' }
+      },
+      returns: 'Process status, command, output and the cursor to pass as since next time',
+      handler: (params) => this.getTerminalOutput(params.id, params)
+    });
+
+    this.tools.register({
+      name: 'send_terminal_input',
+      description: 'Write text to the stdin of a running background process, e.g. to answer a prompt.',
+      parameters: {
+        id: { type: 'integer', required: true, placeholder: 'PROCESS_ID_NUMBER', description: 'The background process ID' },
+        input: { type: 'string', required: true, placeholder: 'TEXT', description: 'The text to send' },
+        newline: { type: 'boolean', default: true, placeholder: 'true', description: 'Append a newline (press Enter) after the text' }
+      },
+      returns: 'Confirmation, or an error if the process is not running',
+      // Input to a shell or interpreter runs as a command, so it is approved like one
+      permission: { kind: 'command', target: (params) => params.input },
+      handler: (params) => this.sendTerminalInput(params.id, params.input, params.newline)
+    });
+
+    this.tools.register({
+      name: 'kill_terminal',
+      description: 'Stop a background process (and any processes it started).',
+      parameters: {
+        id: { type: 'integer', required: true, placeholder: 'PROCESS_ID_NUMBER', description: 'The background process ID' }
+      },
+      returns: 'Confirmation, or an error if the process is not running',
+      handler: (params) => this.killTerminal(params.id)
+    });
+
+    this.tools.register({
+      name: 'list_terminals',
+      description: 'List the background processes started in this session with their status.',
+      parameters: {},
+      returns: 'One line per process: ID, status, running time and command',
+      handler: () => this.listTerminals()
+    });
+
+    this.tools.register({
+      name: 'list_dir',
+      description: 'List the contents of a directory.',
+      parameters: {
+        path: { type: 'string', required: true, placeholder: 'ABSOLUTE_PATH_TO_DIRECTORY', description: 'Directory to list' }
+      },
+      returns: 'Directory contents with folders marked by trailing "/"',
+      handler: (params) => this.listDir(params.path)
+    });
+
+    this.tools.register({
+      name: 'file_search',
+      description: 'Search for files by glob pattern, relative to the workspace root. Files ignored by .gitignore/.ignore are skipped; results are sorted by modification time, newest first.',
+      parameters: {
+        query: { type: 'string', required: true, placeholder: 'GLOB_PATTERN', description: 'Glob pattern, e.g. **/*.js' },
+        maxResults: { type: 'integer', default: 50, placeholder: '50', description: 'Maximum number of paths to return' }
+      },
+      returns: 'List of matching file paths, most recently modified first',
+      handler: (params) => this.fileSearch(params.query, params.maxResults)
+    });
+
+    this.tools.register({
+      name: 'grep_search',
+      description: 'Search for text within files, like ripgrep. Skips files ignored by .gitignore/.ignore and binary files.',
+      parameters: {
+        query: { type: 'string', required: true, placeholder: 'SEARCH_TEXT_OR_REGEX', description: 'Text or regular expression to search for' },
+        isRegexp: { type: 'boolean', default: false, placeholder: 'true_or_false', description: 'Treat query as a regular expression' },
+        includePattern: { type: 'string', default: '**/*', placeholder: '**/*', description: 'Glob pattern limiting which files are searched' },
+        fileType: { type: 'string', placeholder: 'js,ts', description: `Only search these file types (comma-separated): ${Object.keys(FILE_TYPES).join(', ')}` },
+        caseSensitive: { type: 'boolean', default: false, placeholder: 'false', description: 'Match case exactly' },
+        wholeWord: { type: 'boolean', default: false, placeholder: 'false', description: 'Only match whole words' },
+        contextBefore: { type: 'integer', default: 0, placeholder: '0', description: 'Lines of context to show before each match' },
+        contextAfter: { type: 'integer', default: 0, placeholder: '0', description: 'Lines of context to show after each match' },
+        outputMode: { type: 'string', default: 'content', placeholder: 'content', description: 'content (matching lines), files (paths only) or count (matches per file)' },
+        maxResults: { type: 'integer', default: 50, placeholder: '50', description: 'Maximum number of matches (content) or files (files, count) to return' }
+      },
+      returns: 'path:line:text for matches (path-line-text for context lines), matching paths, or path:count',
+      handler: (params) => this.grepSearch(params.query, params)
+    });
+
+    this.tools.register({
+      name: 'read_file',
+      description: `Read a file, optionally limited to a range of lines. Lines are prefixed with their number and " | " (not part of the file; leave it out of edits). Long files are cut off after ${READ_DEFAULT_LINES} lines; images are shown to vision models.`,
+      parameters: {
+        filePath: { type: 'string', required: true, placeholder: 'ABSOLUTE_PATH_TO_FILE', description: 'File to read' },
+        offset: { type: 'integer', placeholder: 'START_LINE_NUMBER', description: '1-based line number to start reading from' },
+        limit: { type: 'integer', placeholder: 'NUMBER_OF_LINES', description: `Maximum number of lines to read (default: ${READ_DEFAULT_LINES})` }
+      },
+      returns: 'Numbered lines with a note on how to read further when the output was cut off; a summary for binary files',
+      handler: (params) => this.readFile(params.filePath, params.offset ?? null, params.limit ?? null)
+    });
+
+    this.tools.register({
+      name: 'create_file',
+      description: 'Create a new file. Parent directories are created automatically. Fails if the file already exists.',
+      parameters: {
+        filePath: { type: 'string', required: true, placeholder: 'ABSOLUTE_PATH_TO_NEW_FILE', description: 'File to create' },
+        content: { type: 'string', default: '', placeholder: 'FILE_CONTENT_HERE', description: 'Full file content (XML-escaped)' }
+      },
+      returns: 'Confirmation of file creation',
+      permission: { kind: 'edit', target: (params) => params.filePath },
+      handler: (params) => this.createFile(params.filePath, params.content)
+    });
+
+    this.tools.register({
+      name: 'replace_string_in_file',
+      description: 'Replace exactly one occurrence of a string in an existing file. Include 3-5 lines of context so the match is unique.',
+      parameters: {
+        filePath: { type: 'string', required: true, placeholder: 'ABSOLUTE_PATH_TO_FILE', description: 'File to edit' },
+        oldString: { type: 'string', required: true, placeholder: 'EXACT_TEXT_TO_REPLACE', description: 'Exact text to replace, including whitespace' },
+        newString: { type: 'string', required: true, placeholder: 'NEW_TEXT_TO_INSERT', description: 'Replacement text' }
+      },
+      returns: 'Confirmation of successful replacement',
+      permission: { kind: 'edit', target: (params) => params.filePath },
+      handler: (params) => this.replaceStringInFile(params.filePath, params.oldString, params.newString)
+    });
+
+    this.tools.register({
+      name: 'multi_edit',
+      description: 'Apply several replacements to one existing file in a single call. Edits run in order, each on the result of the previous one, and are atomic: if any edit fails, none are applied.',
+      parameters: {
+        filePath: { type: 'string', required: true, placeholder: 'ABSOLUTE_PATH_TO_FILE', description: 'File to edit' },
+        edits: {
+          type: 'array',
+          required: true,
+          placeholder: '[{"oldString": "EXACT_TEXT", "newString": "NEW_TEXT"}]',
+          description: 'JSON array of {oldString, newString, replaceAll?}; oldString must match exactly once unless replaceAll is true',
+          items: {
+            type: 'object',
+            properties: {
+              oldString: { type: 'string' },
+              newString: { type: 'string' },
+              replaceAll: { type: 'boolean' }
+            },
+            required: ['oldString', 'newString']
+          }
+        }
+      },
+      returns: 'Confirmation with the edited regions, or the failing edit and the closest matching text',
+      permission: { kind: 'edit', target: (params) => params.filePath },
+      handler: (params) => this.multiEdit(params.filePath, params.edits)
+    });
+
+    this.tools.register({
+      name: 'apply_patch',
+      description: 'Apply a unified diff (as produced by `git diff` or `diff -u`) that may touch several files. Use --- /dev/null to create a file and +++ /dev/null to delete one. Hunks are located by their context lines, so line numbers may be approximate and whitespace differences are tolerated. Nothing is written unless every hunk applies.',
+      parameters: {
+        patch: { type: 'string', required: true, placeholder: 'UNIFIED_DIFF', description: 'The patch text with ---/+++ file headers and @@ hunks (XML-escaped)' }
+      },
+      returns: 'Per-file and per-hunk results; for hunks that did not apply, the closest matching region of the file',
+      permission: { kind: 'edit', target: (params) => this.patchTargets(params.patch) },
+      handler: (params) => this.applyPatch(params.patch)
+    });
+  }
+
+  /**
+   * ACTION SCRIPTS
+   *
+   * Every .js script under actions/ (recursively) is exposed as a tool named after its path
+   * (actions/web/search.js → web.search). Parameters are declared by a manifest
+   * next to the script (search.json). Scripts are never run to discover their
+   * schema, only when the model calls them and the call is approved like a
+   * shell command:
+   *
+   *   {
+   *     "description": "Search the web",
+   *     "parameters": {
+   *       "q": { "type": "string", "required": true, "flag": "-q", "description": "Search query" }
+   *     }
+   *   }
+   *
+   * Parameters become `--name value` (or `flag value`) arguments; booleans are
+   * passed as a bare flag when true, and `positional: true` appends the value.
+   * Scripts without a schema take a single raw `args` string instead.
+   */
+  registerActionTools() {
+    const actionsDir = path.join(__dirname, 'actions');
+    if (!fs.existsSync(actionsDir)) {
+      return;
+    }
+
+    const scripts = glob.sync('**/*.js', { cwd: actionsDir, nodir: true }).sort();
+    const registered = [];
+
+    for (const script of scripts) {
+      const scriptPath = path.join(actionsDir, script);
+      const name = script.replace(/\.js$/, '').split(/[\\/]/).join('.');
+
+      if (this.tools.get(name)) {
+        console.log(this.formatSystemMessage(`Skipping action ${script}: tool "${name}" already exists`));
+        continue;
+      }
+
+      const schema = this.loadActionSchema(scriptPath);
+      const commandLine = (params) => ['node', path.relative(__dirname, scriptPath), ...this.buildActionArgs(schema, params)].join(' ');
+      this.tools.register({
+        name,
+        description: schema.description || `Run the ${script} action script.`,
+        parameters: schema.parameters,
+        returns: 'Output of the script (stdout, plus stderr and exit code when present)',
+        permission: { kind: 'command', target: commandLine },
+        handler: (params) => this.runAction(scriptPath, this.buildActionArgs(schema, params), schema.timeout)
+      });
+      registered.push(name);
+    }
+
+    if (registered.length > 0) {
+      console.log(this.formatSystemMessage(`Action tools: ${registered.join(', ')}`));
+    }
+  }
+
+  // Read a script's parameter schema from the manifest next to it
+  loadActionSchema(scriptPath) {
+    const fallback = {
+      raw: true,
+      parameters: {
+        args: { type: 'string', default: '', placeholder: 'ARGUMENTS', description: 'Command-line arguments for the script (pass --help to see its usage)' }
+      }
+    };
+
+    try {
+      const manifestPath = scriptPath.replace(/\.js$/, '.json');
+      if (!fs.existsSync(manifestPath)) {
+        return fallback;
+      }
+
+      const schema = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return fallback;
+      }
+
+      return {
+        description: schema.description,
+        parameters: schema.parameters || {},
+        timeout: schema.timeout
+      };
+    } catch (error) {
+      console.log(this.formatSystemMessage(`Invalid schema for ${path.basename(scriptPath)}: ${error.message}`));
+      return fallback;
+    }
+  }
+
+  // Translate validated tool parameters into argv for an action script
+  buildActionArgs(schema, params) {
+    const argv = [];
+
+    if (schema.raw) {
+      // Raw argument string: split on whitespace, honouring single and double quotes
+      const tokenRegex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+      let match;
+      while ((match = tokenRegex.exec(params.args || '')) !== null) {
+        argv.push(match[1] ?? match[2] ?? match[3]);
+      }
+      return argv;
+    }
+
+    const positional = [];
+    for (const [name, spec] of Object.entries(schema.parameters)) {
+      const value = params[name];
+      if (value === undefined || value === false) {
+        continue;
+      }
+      if (spec.positional) {
+        positional.push(String(value));
+        continue;
+      }
+
+      const flag = spec.flag || `--${name}`;
+      if (value === true) {
+        argv.push(flag);
+      } else {
+        argv.push(flag, String(value));
+      }
+    }
+
+    return argv.concat(positional);
+  }
+
+  // Run an action script as a child process and collect its output
+  runAction(scriptPath, argv, timeout = 120000) {
+    const relativePath = path.relative(__dirname, scriptPath);
+    console.log(`\n${this.formatSystemMessage(`Action: ${relativePath} ${argv.join(' ')}`.trim())}\n`);
+
+    return new Promise((resolve) => {
+      const childProcess = spawn(process.execPath, [scriptPath, ...argv], {
+        cwd: process.cwd(),
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: process.platform !== 'win32', // Own process group, so cancelling stops the whole tree
+        timeout
+      });
+      this.foregroundProcesses.add(childProcess);
+
+      let stdout = '';
+      let stderr = '';
+
+      childProcess.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      childProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      childProcess.on('close', (code, signal) => {
+        this.foregroundProcesses.delete(childProcess);
+        let result = stdout + (stderr ? `\nSTDERR:\n${stderr}` : '');
+        if (childProcess.killedByUser) {
+          result += '\n[Action interrupted by user]';
+        } else if (signal) {
+          result += `\nProcess terminated by ${signal}`;
+        } else if (code !== 0) {
+          result += `\nExit code: ${code}`;
+        }
+        resolve(result.trim() || `Process completed with exit code: ${code}`);
+      });
+
+      childProcess.on('error', (error) => {
+        this.foregroundProcesses.delete(childProcess);
+        resolve(`Error running action: ${error.message}`);
+      });
+    });
+  }
+
+  setupReadline() {
+    this.loadInputHistory();
+
+    // Enable keypress events
+    readline.emitKeypressEvents(process.stdin);
+
+    // Set raw mode for key detection, and ask the terminal to mark pastes
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+      this.setBracketedPaste(true);
+      process.on('exit', () => this.setBracketedPaste(false));
+    }
+
+    // Handle keypress events
+    process.stdin.on('keypress', this.handleKeypress.bind(this));
+  }
+
+  handleKeypress(str, key) {
+    if (!key) return;
+
+    // Everything between the bracketed-paste markers is literal input
+    if (key.name === 'paste-start') {
+      this.finalizePaste(); // Anything the timing heuristic was still collecting came first
+      this.bracketedPaste = '';
+      this.bracketedPasteSeen = true;
+      return;
+    }
+    if (this.bracketedPaste !== null) {
+      if (key.name === 'paste-end') {
+        const text = this.bracketedPaste;
+        this.bracketedPaste = null;
+        this.insertPaste(text);
+      } else {
+        this.bracketedPaste += str || '';
+      }
+      return;
+    }
+
+    const currentTime = Date.now();
+    const timeSinceLastKeypress = currentTime - this.lastKeypressTime;
+
+    // Handle Ctrl+C: cancel the running task, or exit when pressed twice
+    if (key.ctrl && key.name === 'c') {
+      if (currentTime - this.lastInterruptTime < EXIT_CONFIRM_WINDOW) {
+        this.writeToStdout('\n');
+        process.exit(0);
+      }
+      this.lastInterruptTime = currentTime;
+
+      if (this.pendingPicker) {
+        this.handlePickerKeypress({ name: 'escape' });
+      } else if (this.isBusy) {
+        this.cancelCurrentTask();
+      } else {
+        this.moveToInputEnd();
+        this.historySearch = null;
+        this.currentInput = '';
+        this.cursorPos = 0;
+        this.pastedBlocks.clear();
+        this.historyIndex = this.inputHistory.length;
+        this.writeToStdout('\n' + this.formatSystemMessage('Press Ctrl+C again to exit') + '\n');
+        this.showPrompt();
+      }
+      return;
+    }
+
+    // Drive an open list picker instead of editing the input line
+    if (this.pendingPicker) {
+      this.handlePickerKeypress(key);
+      return;
+    }
+
+    // Handle Esc to cancel the running generation or tool
+    if (key.name === 'escape' && this.isBusy) {
+      this.cancelCurrentTask();
+      return;
+    }
+
+    // Answer a pending permission question instead of editing the input line
+    if (this.pendingChoice) {
+      this.handleChoiceKeypress(str);
+      return;
+    }
+
+    // Ctrl+R search consumes keys until it is accepted or cancelled
+    if (this.historySearch && this.handleHistorySearchKeypress(str, key)) {
+      this.lastKeypressTime = currentTime;
+      return;
+    }
+
+    // Ctrl+X Ctrl+E opens the input in $EDITOR
+    if (this.pendingCtrlX) {
+      this.pendingCtrlX = false;
+      if (key.ctrl && key.name === 'e') {
+        this.openInEditor();
+        return;
+      }
+    }
+
+    // Handle Ctrl+L to clear conversation history
+    if (key.ctrl && key.name === 'l') {
+      this.writeToStdout('\n');
+      this.clearConversation();
+      this.showPrompt();
+      return;
+    }
+
+    // Handle Ctrl+O to show the last tool result in full
+    if (key.ctrl && key.name === 'o') {
+      if (!this.isBusy && this.lastToolResult) {
+        this.moveToInputEnd();
+        this.writeToStdout(this.formatFunctionResult(this.lastToolResult, true));
+        this.redrawLine();
+      }
+      return;
+    }
+
+    // Handle Ctrl+T to show or hide thinking output (turning it on shows the last reasoning)
+    if (key.ctrl && key.name === 't') {
+      this.showThinking = !this.showThinking;
+      if (!this.isBusy) {
+        this.moveToInputEnd();
+        this.writeToStdout('\n' + this.formatSystemMessage(`Thinking output ${this.showThinking ? 'shown' : 'hidden'}`) + '\n');
+        if (this.showThinking && this.lastThinking) {
+          this.writeToStdout(this.formatLLMThinking(this.lastThinking.trim()));
+        }
+        this.redrawLine();
+      }
+      return;
+    }
+
+    // Handle Tab to complete slash command names and @file mentions
+    if (key.name === 'tab' && !this.isPasting) {
+      if (/(^|\s)@\S*$/.test(this.currentInput.slice(0, this.cursorPos))) {
+        this.completeMention();
+      } else {
+        this.completeSlashCommand();
+      }
+      this.lastKeypressTime = currentTime;
+      return;
+    }
+
+    // Detect potential paste operation (rapid sequence of characters or line endings);
+    // only a fallback for terminals that don't send bracketed-paste markers
+    const pasteTiming = !this.bracketedPasteSeen && timeSinceLastKeypress < this.pasteThreshold;
+    if (str && str.length === 1 && pasteTiming && !key.ctrl && !key.alt && !key.meta) {
+      this.handlePossiblePaste(str);
+      this.lastKeypressTime = currentTime;
+      return;
+    }
+
+    // Also handle line endings during paste operations
+    if (str === '\n' && pasteTiming && !key.ctrl && !key.alt && !key.meta) {
+      this.handlePossiblePaste(str);
+      this.lastKeypressTime = currentTime;
+      return;
+    }
+
+    // If we were pasting and now got a different type of input, finalize the paste
+    if (this.isPasting) {
+      this.finalizePaste();
+    }
+
+    // Handle Alt+Enter for multiline - try multiple approaches
+    // On Windows, Alt key shows up as meta: true instead of alt: true
+    if ((key.alt || key.meta) && (key.name === 'return' || key.name === 'enter')) {
+      this.insertAtCursor('\n');
+      this.redrawLine();
+      this.lastKeypressTime = currentTime;
+      return;
+    }
+
+    // Alternative check for Alt+Enter using character codes
+    if (str === '\r' && (key.alt || key.meta)) {
+      console.log('alt+enter detected via char code');
+      this.insertAtCursor('\n');
+      this.redrawLine();
+      this.lastKeypressTime = currentTime;
+      return;
+    }
+
+    // Handle regular Enter to send message (only if not pasting)
+    if ((key.name === 'return' || key.name === 'enter') && !key.alt && !key.ctrl && !key.meta && !this.isPasting) {
+      this.moveToInputEnd();
+      const input = this.expandPastes(this.currentInput);
+      this.addToHistory(input);
+      this.currentInput = '';
+      this.cursorPos = 0;
+      this.writeToStdout('\n');
+      if (this.isBusy) {
+        // A second agent loop would share the history and stream state: hold the input until this one ends
+        if (input.trim()) {
+          const replaced = this.queuedInput !== null;
+          this.queuedInput = input;
+          this.writeToStdout(this.formatSystemMessage(`Queued until the current answer finishes${replaced ? ' (replacing the previous one)' : ''}`) + '\n');
+        }
+        this.inputRender = null;
+      } else {
+        this.submitInput(input);
+      }
+      this.lastKeypressTime = currentTime;
+      return;
+    }
+
+    if (this.handleEditingKey(key)) {
+      this.lastKeypressTime = currentTime;
+      return;
+    }
+
+    // Handle regular printable characters (but not during paste)
+    if (str && [...str].length === 1 && str >= ' ' && !key.ctrl && !key.alt && !key.meta) {
+      this.insertAtCursor(str);
+      this.redrawLine();
+    }
+
+    this.lastKeypressTime = currentTime;
+  }
+
+  insertAtCursor(text) {
+    this.currentInput = this.currentInput.slice(0, this.cursorPos) +
+      text +
+      this.currentInput.slice(this.cursorPos);
+    this.cursorPos += text.length;
+  }
+
+  /**
+   * LINE EDITOR
+   *
+   * Emacs-style editing on this.currentInput / this.cursorPos:
+   *   Ctrl+A/E, Home/End      start/end of the current line
+   *   Ctrl+B/F, Left/Right    one character (Alt+B/F, Ctrl+Left/Right: one word)
+   *   Ctrl+P/N, Up/Down       previous/next line of a multi-line input, else history
+   *   Ctrl+D, Delete          delete the next character (Alt+D: the next word)
+   *   Ctrl+H, Backspace       delete the previous character (Alt+Backspace: the previous word)
+   *   Ctrl+W                  delete back to the previous whitespace
+   *   Ctrl+K / Ctrl+U         delete to the end / start of the line
+   *   Ctrl+Y                  paste the last deleted text
+   *   Ctrl+R                  reverse incremental history search
+   *   Ctrl+X Ctrl+E           edit the input in $VISUAL / $EDITOR
+   * Prompts are saved per project in ~/.config/ollama-code/history/.
+   */
+  handleEditingKey(key) {
+    const input = this.currentInput;
+    const pos = this.cursorPos;
+    const lineStart = input.lastIndexOf('\n', pos - 1) + 1;
+    const lineEnd = input.indexOf('\n', pos) === -1 ? input.length : input.indexOf('\n', pos);
+    const isWordChar = (char) => /[\p{L}\p{N}_]/u.test(char);
+    const isNonSpace = (char) => /\S/.test(char);
+    const alt = key.alt || key.meta;
+    const name = key.name;
+
+    const moveTo = (target) => {
+      this.cursorPos = Math.max(0, Math.min(target, input.length));
+      this.redrawLine();
+    };
+    const remove = (start, end, kill = true) => {
+      if (start === end) {
+        return;
+      }
+      if (kill) {
+        this.killBuffer = input.slice(start, end);
+      }
+      this.currentInput = input.slice(0, start) + input.slice(end);
+      this.cursorPos = start;
+      this.redrawLine();
+    };
+
+    if (key.ctrl && name === 'x') {
+      this.pendingCtrlX = true;
+    } else if (key.ctrl && name === 'r') {
+      this.startHistorySearch();
+    } else if (name === 'up' || (key.ctrl && name === 'p')) {
+      if (!this.moveCursorVertically(-1)) {
+        this.browseHistory(-1);
+      }
+    } else if (name === 'down' || (key.ctrl && name === 'n')) {
+      if (!this.moveCursorVertically(1)) {
+        this.browseHistory(1);
+      }
+    } else if ((alt && name === 'b') || (key.ctrl && name === 'left')) {
+      moveTo(this.wordStart(pos, isWordChar));
+    } else if ((alt && name === 'f') || (key.ctrl && name === 'right')) {
+      moveTo(this.wordEnd(pos, isWordChar));
+    } else if (name === 'left' || (key.ctrl && name === 'b')) {
+      moveTo(pos - this.charLengthBefore(pos));
+    } else if (name === 'right' || (key.ctrl && name === 'f')) {
+      moveTo(pos + this.charLengthAt(pos));
+    } else if (name === 'home' || (key.ctrl && name === 'a')) {
+      moveTo(lineStart);
+    } else if (name === 'end' || (key.ctrl && name === 'e')) {
+      moveTo(lineEnd);
+    } else if (alt && name === 'backspace') {
+      remove(this.wordStart(pos, isWordChar), pos);
+    } else if (key.ctrl && name === 'w') {
+      remove(this.wordStart(pos, isNonSpace), pos);
+    } else if (alt && name === 'd') {
+      remove(pos, this.wordEnd(pos, isWordChar));
+    } else if (name === 'backspace') {
+      remove(pos - this.charLengthBefore(pos), pos, false);
+    } else if (name === 'delete' || (key.ctrl && name === 'd')) {
+      remove(pos, pos + this.charLengthAt(pos), false);
+    } else if (key.ctrl && name === 'k') {
+      // At the end of a line, join it with the next one
+      remove(pos, lineEnd === pos && pos < input.length ? pos + 1 : lineEnd);
+    } else if (key.ctrl && name === 'u') {
+      remove(lineStart, pos);
+    } else if (key.ctrl && name === 'y') {
+      if (this.killBuffer) {
+        this.insertAtCursor(this.killBuffer);
+        this.redrawLine();
+      }
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  // UTF-16 length of the character before/at a position, so surrogate pairs move as one
+  charLengthBefore(pos) {
+    if (pos <= 0) return 0;
+    return pos >= 2 && /[\udc00-\udfff]/.test(this.currentInput[pos - 1]) && /[\ud800-\udbff]/.test(this.currentInput[pos - 2]) ? 2 : 1;
+  }
+
+  charLengthAt(pos) {
+    if (pos >= this.currentInput.length) return 0;
+    return this.currentInput.codePointAt(pos) > 0xffff ? 2 : 1;
+  }
+
+  // Start of the word before pos / end of the word after pos, skipping separators first
+  wordStart(pos, isWordChar) {
+    while (pos > 0 && !isWordChar(this.currentInput[pos - 1])) pos--;
+    while (pos > 0 && isWordChar(this.currentInput[pos - 1])) pos--;
+    return pos;
+  }
+
+  wordEnd(pos, isWordChar) {
+    const length = this.currentInput.length;
+    while (pos < length && !isWordChar(this.currentInput[pos])) pos++;
+    while (pos < length && isWordChar(this.currentInput[pos])) pos++;
+    return pos;
+  }
+
+  // Move to the same column on the previous (-1) or next (1) line; false when there is none
+  moveCursorVertically(direction) {
+    const lines = this.currentInput.split('\n');
+    let lineIndex = this.currentInput.slice(0, this.cursorPos).split('\n').length - 1;
+    const column = this.cursorPos - (this.currentInput.lastIndexOf('\n', this.cursorPos - 1) + 1);
+    const target = lineIndex + direction;
+    if (target < 0 || target >= lines.length) {
+      return false;
+    }
+
+    let offset = 0;
+    for (lineIndex = 0; lineIndex < target; lineIndex++) {
+      offset += lines[lineIndex].length + 1;
+    }
+    this.cursorPos = offset + Math.min(column, lines[target].length);
+    this.redrawLine();
+    return true;
+  }
+
+  historyPath() {
+    const project = process.cwd().replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return path.join(os.homedir(), '.config', 'ollama-code', 'history', `${project || 'root'}.jsonl`);
+  }
+
+  // One JSON string per line, so multi-line prompts survive
+  loadInputHistory() {
+    try {
+      const file = this.historyPath();
+      if (fs.existsSync(file)) {
+        const entries = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null; // Skip a damaged line
+          }
+        }).filter(entry => typeof entry === 'string');
+
+        this.inputHistory = entries.slice(-HISTORY_MAX_ENTRIES);
+        if (entries.length > HISTORY_MAX_ENTRIES) {
+          fs.writeFileSync(file, this.inputHistory.map(entry => JSON.stringify(entry) + '\n').join(''), { encoding: 'utf8', mode: 0o600 });
+        }
+      }
+    } catch (error) {
+      console.log(this.formatSystemMessage(`Error loading input history: ${error.message}`));
+    }
+    this.historyIndex = this.inputHistory.length;
+  }
+
+  addToHistory(input) {
+    if (input.trim() && input !== this.inputHistory[this.inputHistory.length - 1]) {
+      this.inputHistory.push(input);
+      try {
+        const file = this.historyPath();
+        fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+        // Prompts can hold secrets; keep the file private to the user
+        fs.appendFileSync(file, JSON.stringify(input) + '\n', { encoding: 'utf8', mode: 0o600 });
+      } catch (error) {
+        // History is a convenience; never interrupt sending the message
+      }
+    }
+    this.historyIndex = this.inputHistory.length;
+    this.historyDraft = '';
+  }
+
+  // Step through history (-1 older, 1 newer), keeping the live input as a draft
+  browseHistory(direction) {
+    const target = this.historyIndex + direction;
+    if (target < 0 || target > this.inputHistory.length) {
+      return;
+    }
+    if (this.historyIndex === this.inputHistory.length) {
+      this.historyDraft = this.currentInput;
+    }
+
+    this.historyIndex = target;
+    this.currentInput = target === this.inputHistory.length ? this.historyDraft : this.inputHistory[target];
+    this.cursorPos = this.currentInput.length;
+    this.redrawLine();
+  }
+
+  startHistorySearch() {
+    this.historySearch = {
+      query: '',
+      index: this.inputHistory.length,
+      failed: false,
+      saved: { input: this.currentInput, cursorPos: this.cursorPos }
+    };
+    this.redrawLine();
+  }
+
+  // Find the newest entry at or before `from` containing the query
+  findHistoryMatch(from) {
+    const search = this.historySearch;
+    for (let index = Math.min(from, this.inputHistory.length - 1); index >= 0; index--) {
+      if (this.inputHistory[index].includes(search.query)) {
+        search.index = index;
+        search.failed = false;
+        this.currentInput = this.inputHistory[index];
+        this.cursorPos = this.currentInput.lastIndexOf(search.query);
+        return;
+      }
+    }
+    search.failed = true;
+  }
+
+  // Returns false for keys that end the search and should then be handled normally
+  handleHistorySearchKeypress(str, key) {
+    const search = this.historySearch;
+
+    if (key.ctrl && key.name === 'r') {
+      if (search.query) {
+        this.findHistoryMatch(search.index - 1);
+      }
+    } else if (key.name === 'escape' || (key.ctrl && key.name === 'g')) {
+      this.currentInput = search.saved.input;
+      this.cursorPos = search.saved.cursorPos;
+      this.historySearch = null;
+    } else if (key.name === 'backspace') {
+      search.query = search.query.slice(0, -1);
+      if (search.query) {
+        this.findHistoryMatch(this.inputHistory.length - 1);
+      } else {
+        search.failed = false;
+      }
+    } else if (str && str.length === 1 && str >= ' ' && !key.ctrl && !key.meta) {
+      search.query += str;
+      this.findHistoryMatch(search.index);
+    } else {
+      // Any other key accepts the match; Enter only accepts, so it can still be edited before sending
+      this.historySearch = null;
+      this.historyIndex = this.inputHistory.length;
+      this.redrawLine();
+      return ['return', 'enter'].includes(key.name);
+    }
+
+    this.redrawLine();
+    return true;
+  }
+
+  // Edit the input in $VISUAL / $EDITOR; the saved file becomes the new input
+  openInEditor() {
+    const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+    let dir = null;
+
+    try {
+      this.currentInput = this.expandPastes(this.currentInput);
+      // A private directory, so other users can't read or swap the draft
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ollama-code-'));
+      const file = path.join(dir, 'input.md');
+      fs.writeFileSync(file, this.currentInput, { encoding: 'utf8', mode: 0o600 });
+      process.stdin.pause();
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(false);
+      }
+      // Through the shell, so an EDITOR with arguments (e.g. "code --wait") works
+      const result = spawnSync(`${editor} "${file}"`, { stdio: 'inherit', shell: true });
+      if (result.error || result.status !== 0) {
+        throw result.error || new Error(`${editor} exited with code ${result.status}`);
+      }
+
+      this.currentInput = fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+      this.cursorPos = this.currentInput.length;
+    } catch (error) {
+      this.writeToStdout('\n' + this.formatSystemMessage(`Could not open the editor: ${error.message}`) + '\n');
+      this.inputRender = null;
+    } finally {
+      if (dir) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(true);
+        this.setBracketedPaste(true); // Editors that use it turn it off on exit
+      }
+      process.stdin.resume();
+    }
+    this.redrawLine();
+  }
+
+  handlePossiblePaste(char) {
+    // Start paste mode if not already pasting
+    if (!this.isPasting) {
+      this.isPasting = true;
+      this.pasteBuffer = '';
+    }
+
+    // Handle line endings properly - convert \r\n and \r to \n
+    if (char === '\r') {
+      // Don't add standalone \r, wait for potential \n
+      return;
+    }
+
+    // Add character to paste buffer
+    this.pasteBuffer += char;
+
+    // Clear any existing timeout
+    if (this.pasteTimeout) {
+      clearTimeout(this.pasteTimeout);
+    }
+
+    // Set a timeout to finalize the paste after a short delay
+    this.pasteTimeout = setTimeout(() => {
+      this.finalizePaste();
+    }, 50); // 50ms delay to allow for complete paste
+  }
+
+  finalizePaste() {
+    if (!this.isPasting || !this.pasteBuffer) {
+      return;
+    }
+
+    // Insert all pasted content at once
+    this.insertPaste(this.pasteBuffer);
+
+    // Reset paste state
+    this.isPasting = false;
+    this.pasteBuffer = '';
+
+    if (this.pasteTimeout) {
+      clearTimeout(this.pasteTimeout);
+      this.pasteTimeout = null;
+    }
+  }
+
+  // Insert pasted text at the cursor; long pastes are shown as a placeholder and expanded on send
+  insertPaste(text) {
+    text = text.replace(/\r\n?/g, '\n');
+    const lines = text.split('\n').length;
+    if (lines > PASTE_COLLAPSE_LINES || text.length > PASTE_COLLAPSE_CHARS) {
+      let placeholder = lines > 1 ? `[pasted ${lines} lines]` : `[pasted ${text.length} characters]`;
+      for (let count = 2; this.pastedBlocks.has(placeholder); count++) {
+        placeholder = placeholder.replace(/( #\d+)?\]$/, ` #${count}]`);
+      }
+      this.pastedBlocks.set(placeholder, text);
+      text = placeholder;
+    }
+    this.insertAtCursor(text);
+    this.redrawLine();
+  }
+
+  // Replace paste placeholders that are still in the input with the text they stand for
+  expandPastes(input) {
+    for (const [placeholder, text] of this.pastedBlocks) {
+      input = input.split(placeholder).join(text);
+    }
+    this.pastedBlocks.clear();
+    return input;
+  }
+
+  setBracketedPaste(enabled) {
+    process.stdout.write(enabled ? '\x1b[?2004h' : '\x1b[?2004l');
+  }
+
+  /**
+   * Redraw the input in place. Rows are counted with soft wraps at the
+   * terminal width, so long and multi-line input is cleared and redrawn
+   * from its first row, and the cursor is placed by row and column.
+   */
+  redrawLine() {
+    const columns = process.stdout.columns || 80;
+    const search = this.historySearch;
+    const firstPrompt = search
+      ? `(${search.failed ? 'failed ' : ''}reverse-i-search)\`${search.query}': `
+      : '>>> ';
+    const lines = this.currentInput.split('\n');
+    const prompts = lines.map((_, index) => index === 0 ? firstPrompt : '... ');
+
+    // First row of each line; a line exactly as wide as the terminal leaves the cursor pending on its last row
+    const startRows = [];
+    let rows = 0;
+    lines.forEach((line, index) => {
+      startRows.push(rows);
+      rows += Math.max(1, Math.ceil(displayWidth(prompts[index] + line) / columns));
+    });
+
+    // Clear from the first row of the previous render
+    if (this.inputRender && this.inputRender.cursorRow > 0) {
+      process.stdout.write(`\x1b[${this.inputRender.cursorRow}A`);
+    }
+    process.stdout.write('\r\x1b[J');
+
+    const coloredPrompt = (prompt) => search && prompt === firstPrompt ? `${Colors.DIM}${prompt}${Colors.RESET}` : this.formatUserInput(prompt);
+    this.writeToStdout(lines.map((line, index) => coloredPrompt(prompts[index]) + this.formatUserInput(line)).join('\n'));
+
+    const lastIndex = lines.length - 1;
+    const lastWidth = displayWidth(prompts[lastIndex] + lines[lastIndex]);
+    if (lastWidth % columns === 0) {
+      process.stdout.write(' \r\x1b[K'); // Commit the pending wrap so the cursor row is known
+    }
+    const endRow = startRows[lastIndex] + Math.floor(lastWidth / columns);
+
+    // Cursor row and column from the display width of the text before it on its line
+    const cursorLine = this.currentInput.slice(0, this.cursorPos).split('\n').length - 1;
+    const lineOffset = this.cursorPos - (this.currentInput.lastIndexOf('\n', this.cursorPos - 1) + 1);
+    const before = displayWidth(prompts[cursorLine] + lines[cursorLine].slice(0, lineOffset));
+    let cursorRow = startRows[cursorLine] + Math.floor(before / columns);
+    let cursorColumn = before % columns;
+    if (cursorLine < lastIndex && before > 0 && cursorColumn === 0 && cursorRow === startRows[cursorLine + 1]) {
+      cursorRow--; // End of a line that exactly fills its last row
+      cursorColumn = columns - 1;
+    }
+
+    if (endRow > cursorRow) {
+      process.stdout.write(`\x1b[${endRow - cursorRow}A`);
+    }
+    process.stdout.write(cursorColumn > 0 ? `\r\x1b[${cursorColumn}C` : '\r');
+    this.inputRender = { cursorRow, rows: endRow + 1 };
+  }
+
+  // Put the terminal cursor after the last row of the input, e.g. before printing below it
+  moveToInputEnd() {
+    if (this.inputRender) {
+      const down = this.inputRender.rows - 1 - this.inputRender.cursorRow;
+      if (down > 0) {
+        process.stdout.write(`\x1b[${down}B`);
+      }
+      this.inputRender = null;
+    }
+  }
+
+  // Color and formatting helper methods
+  formatUserInput(text) {
+    return `${Colors.USER_PROMPT}${text}${Colors.RESET}`;
+  }
+
+  // Box rows in a panel as wide as the terminal; box is the corner, edge and side characters
+  formatPanel(title, rows, color, box) {
+    const [topLeft, horizontal, topRight, vertical, bottomLeft, bottomRight] = box;
+    const width = Math.max(20, process.stdout.columns || 80);
+    const inner = width - 4;
+    const label = ` ${title} `;
+    const fill = Math.max(0, width - 3 - displayWidth(label));
+    const header = `${color}${Colors.BRIGHT}${topLeft}${horizontal}${label}${horizontal.repeat(fill)}${topRight}${Colors.RESET}`;
+    const footer = `${color}${Colors.BRIGHT}${bottomLeft}${horizontal.repeat(width - 2)}${bottomRight}${Colors.RESET}`;
+    const content = rows.flatMap(row => wrapText(row, inner)).map(row =>
+      `${color}${vertical} ${row}${' '.repeat(Math.max(0, inner - displayWidth(row)))} ${vertical}${Colors.RESET}`
     ).join('\n');
     return `\n${header}\n${content}\n${footer}\n`;
   }
 
-  formatLLMThinkingInline(text) {
-    // Simple inline thinking format - just colored text, no frames
-    return `${Colors.RESET}${Colors.LLM_THINKING}${text}${Colors.RESET}`;
-  } formatLLMResponse(text) {
-    return `${Colors.LLM_RESPONSE}${text}${Colors.RESET}`;
+  formatLLMThinking(text) {
+    return this.formatPanel('LLM THINKING', [text], Colors.LLM_THINKING, '┌─┐│└┘');
+  }
+
+  formatLLMThinkingInline(text) {
+    // Simple inline thinking format - just colored text, no frames
+    return `${Colors.RESET}${Colors.LLM_THINKING}${text}${Colors.RESET}`;
+  }
+
+  // Stream response text through the markdown renderer
+  writeResponse(text) {
+    this.writeToStdout(this.markdown ? this.markdown.write(text) : text);
+  }
+
+  // Flush text the markdown renderer holds back, before other output or at the end of a response
+  endResponse() {
+    if (this.markdown) {
+      this.writeToStdout(this.markdown.end());
+    }
+  }
+
+  formatFunctionCall(text, title = 'FUNCTION CALL') {
+    return Colors.RESET + this.formatPanel(title, [text], Colors.FUNCTION_CALL, '╔═╗║╚╝');
+  }
+
+  // Tool call summary: the tool name as the title and one line per argument
+  formatToolCall(name, parameters) {
+    const lines = Object.entries(parameters || {}).map(([key, value]) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      const [first, ...more] = text.split('\n');
+      const shown = first.length > TOOL_ARGUMENT_PREVIEW_CHARS ? `${first.slice(0, TOOL_ARGUMENT_PREVIEW_CHARS)}…` : first;
+      return `${key}: ${shown}${more.length > 0 ? ` … (+${more.length} lines)` : ''}`;
+    });
+    return this.formatFunctionCall(lines.length > 0 ? lines.join('\n') : '(no arguments)', name);
+  }
+
+  // Summaries of the <invoke> blocks in streamed function call XML (the raw XML if none can be read)
+  formatFunctionCallXml(xml) {
+    const decode = text => text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+      .replace(/&apos;|&#39;/g, "'").replace(/&amp;/g, '&');
+    const invokes = [...xml.matchAll(/<invoke\s+name="([^"]*)"\s*>([\s\S]*?)(?:<\/invoke>|$)/g)];
+    if (invokes.length === 0) {
+      return this.formatFunctionCall(xml);
+    }
+    return invokes.map(([, name, body]) => {
+      const parameters = {};
+      for (const [, key, value] of body.matchAll(/<parameter\s+name="([^"]*)"\s*>([\s\S]*?)(?:<\/parameter>|$)/g)) {
+        parameters[key] = decode(value);
+      }
+      return this.formatToolCall(name, parameters);
+    }).join('');
+  }
+
+  // Long results show their first and last rows; expanded shows everything
+  formatFunctionResult(text, expanded = false) {
+    const inner = Math.max(20, process.stdout.columns || 80) - 4;
+    let rows = wrapText(text, inner);
+    if (!expanded && rows.length > RESULT_PREVIEW_HEAD + RESULT_PREVIEW_TAIL + 1) {
+      const hidden = rows.length - RESULT_PREVIEW_HEAD - RESULT_PREVIEW_TAIL;
+      rows = [
+        ...rows.slice(0, RESULT_PREVIEW_HEAD),
+        `… ${hidden} more lines (Ctrl+O to expand) …`,
+        ...rows.slice(-RESULT_PREVIEW_TAIL)
+      ];
+    }
+    return this.formatPanel('FUNCTION RESULT', rows, Colors.FUNCTION_RESULT, '╭─╮│╰╯');
+  }
+
+  // Show a tool result and keep it for Ctrl+O
+  writeFunctionResult(text) {
+    this.lastToolResult = text;
+    this.writeToStdout(this.formatFunctionResult(text));
+  }
+
+  // Stream reasoning text, or a one-line notice while thinking output is hidden (Ctrl+T)
+  writeThinking(text) {
+    if (!this.thinking) {
+      this.thinking = { text: '', notified: false };
+    }
+    this.thinking.text += text;
+    if (this.showThinking) {
+      this.writeToStdout(this.formatLLMThinkingInline(text));
+    } else if (!this.thinking.notified) {
+      this.thinking.notified = true;
+      this.writeToStdout(this.formatSystemMessage('Thinking... (Ctrl+T to show)'));
+    }
+  }
+
+  // Close the current thinking block, keeping its text for Ctrl+T
+  endThinking() {
+    if (this.thinking) {
+      this.lastThinking = this.thinking.text;
+      this.thinking = null;
+      this.writeToStdout(`${Colors.RESET}\n`);
+    }
+  }
+
+  formatSystemMessage(text) {
+    return `${Colors.SYSTEM_MSG}[${text}]${Colors.RESET}`;
+  }
+
+  // XML unescaping helper to convert XML entities back to their original characters
+  unescapeXml(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    const original = text;
+    const unescaped = text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#39;/g, "'")      // Alternative single quote encoding
+      .replace(/&amp;/g, '&');     // Must be last to avoid double-unescaping
+
+    // Debug logging when unescaping actually occurs
+    if (original !== unescaped) {
+      console.log(this.formatSystemMessage('XML: Unescaped parameter content'));
+    }
+
+    return unescaped;
+  }
+
+  // Validate XML escaping in content - helps debug common issues
+  validateXmlContent(content, parameterName) {
+    if (typeof content !== 'string') return true;
+
+    // Check for unescaped XML characters that could break parsing
+    const unescapedChars = [];
+    if (content.includes('<') && !content.includes('&lt;')) {
+      unescapedChars.push('<');
+    }
+    if (content.includes('>') && !content.includes('&gt;')) {
+      unescapedChars.push('>');
+    }
+    if (content.includes('&') && !content.match(/&(?:lt|gt|amp|quot|apos|#39);/)) {
+      unescapedChars.push('&');
+    }
+
+    if (unescapedChars.length > 0) {
+      const warning1 = this.formatSystemMessage(`XML Warning: Parameter "${parameterName}" may contain unescaped characters: ${unescapedChars.join(', ')}`);
+      const warning2 = this.formatSystemMessage('XML Warning: Consider escaping them as: < → &lt;, > → &gt;, & → &amp;');
+      console.warn(warning1);
+      console.warn(warning2);
+      return false;
+    }
+
+    return true;
+  }
+
+  // XML parsing helper to extract function calls
+  extractFunctionCalls(text) {
+    const functionCallRegex = /<function_calls>([\s\S]*?)<\/function_calls>/g;
+    const calls = [];
+    let match;
+
+    while ((match = functionCallRegex.exec(text)) !== null) {
+      const xmlContent = match[1];
+      try {
+        const parser = new xml2js.Parser({ explicitArray: false });
+        parser.parseString(`<root>${xmlContent}</root>`, (err, result) => {
+          if (!err && result.root.invoke) {
+            const invokes = Array.isArray(result.root.invoke) ? result.root.invoke : [result.root.invoke];
+            for (const invoke of invokes) {
+              if (invoke.$ && invoke.$.name) {
+                const params = {};
+                const parameters = invoke.parameter ? (Array.isArray(invoke.parameter) ? invoke.parameter : [invoke.parameter]) : [];
+                for (const param of parameters) {
+                  if (param.$ && param.$.name) {
+                    const paramName = param.$.name;
+                    const rawContent = param._ || '';
+
+                    // Validate XML content before unescaping (helps catch issues)
+                    this.validateXmlContent(rawContent, paramName);
+
+                    // CRITICAL: Unescape XML entities in parameter content
+                    params[paramName] = this.unescapeXml(rawContent);
+                  }
+                }
+                calls.push({
+                  name: invoke.$.name,
+                  parameters: params
+                });
+              }
+            }
+          }
+        });
+      } catch (e) {
+        console.error('Error parsing XML:', e.message);
+        console.error('XML content that failed to parse:', xmlContent.substring(0, 200) + '...');
+      }
+    }
+
+    return calls;
+  }
+
+  /**
+   * PERMISSIONS
+   *
+   * Rules are merged from the user file (~/.config/ollama-code/permissions.json)
+   * and the project file (.ollama-code/permissions.json in the working directory):
+   *
+   *   {
+   *     "mode": "ask",
+   *     "allow": { "commands": ["git status", "npm test"], "paths": ["src/**"] },
+   *     "deny": { "commands": ["rm -rf"], "paths": [".env", "secrets/**"] }
+   *   }
+   *
+   * Command rules are prefixes, checked against every segment of a compound
+   * command (split on &&, ||, ;, | and newlines). Path rules are globs, matched
+   * against the path relative to the workspace root and the absolute path.
+   * Answering "always" appends a rule to the project file.
+   */
+  loadPermissions() {
+    const userFile = path.join(os.homedir(), '.config', 'ollama-code', 'permissions.json');
+    const files = [userFile, path.join(process.cwd(), '.ollama-code', 'permissions.json')];
+
+    this.permissions = {
+      mode: 'ask',
+      allow: { commands: [], paths: [] },
+      deny: { commands: [], paths: [] }
+    };
+    this.permissionsPath = files[files.length - 1];
+
+    for (const file of files) {
+      if (!fs.existsSync(file)) {
+        continue;
+      }
+      try {
+        const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+        // A project file may make the mode stricter, never looser
+        const stricter = PERMISSION_MODES.indexOf(rules.mode) < PERMISSION_MODES.indexOf(this.permissions.mode);
+        if (rules.mode && (file === userFile || stricter)) {
+          this.permissions.mode = rules.mode;
+        } else if (rules.mode && rules.mode !== this.permissions.mode) {
+          console.log(this.formatSystemMessage(`Ignoring mode "${rules.mode}" in ${file}: only allowed in ${userFile}`));
+        }
+        for (const list of ['allow', 'deny']) {
+          for (const kind of ['commands', 'paths']) {
+            this.permissions[list][kind].push(...(rules[list]?.[kind] || []));
+          }
+        }
+      } catch (error) {
+        console.log(this.formatSystemMessage(`Error loading permissions from ${file}: ${error.message}`));
+      }
+    }
+
+    // Flag, environment and config profile win over the permission files
+    const mode = this.setting('permissionMode');
+    if (mode) {
+      this.permissions.mode = mode;
+    }
+
+    if (!PERMISSION_MODES.includes(this.permissions.mode)) {
+      console.log(this.formatSystemMessage(`Unknown permission mode "${this.permissions.mode}", using "ask"`));
+      this.permissions.mode = 'ask';
+    }
+  }
+
+  // Persist an "always allow" answer to the project permissions file
+  savePermissionRule(kind, value) {
+    try {
+      let rules = {};
+      if (fs.existsSync(this.permissionsPath)) {
+        rules = JSON.parse(fs.readFileSync(this.permissionsPath, 'utf8'));
+      } else {
+        fs.mkdirSync(path.dirname(this.permissionsPath), { recursive: true });
+      }
+
+      rules.allow = rules.allow || {};
+      rules.allow[kind] = rules.allow[kind] || [];
+      if (!rules.allow[kind].includes(value)) {
+        rules.allow[kind].push(value);
+      }
+      fs.writeFileSync(this.permissionsPath, JSON.stringify(rules, null, 2) + '\n', 'utf8');
+    } catch (error) {
+      console.log(this.formatSystemMessage(`Error saving permission rule: ${error.message}`));
+    }
+
+    if (!this.permissions.allow[kind].includes(value)) {
+      this.permissions.allow[kind].push(value);
+    }
+  }
+
+  // Split a shell command into the simple commands it chains together
+  splitCommandSegments(command) {
+    return command.split(/&&|\|\||;|\||&|\r?\n/).map(segment => segment.trim()).filter(Boolean);
+  }
+
+  // Command substitution, process substitution and redirection can hide another command or
+  // write anywhere, so commands using them are never allowed by a rule
+  hasShellSideEffects(command) {
+    return /\$\(|`|[<>]/.test(command);
+  }
+
+  matchesCommandRule(segment, prefixes) {
+    return prefixes.some(prefix => segment === prefix || segment.startsWith(`${prefix} `));
+  }
+
+  matchesPathRule(filePath, patterns) {
+    const absolutePath = path.resolve(this.workspace.root, filePath);
+    const relativePath = path.relative(this.workspace.root, absolutePath);
+    return patterns.some(pattern =>
+      minimatch(relativePath, pattern, { dot: true }) || minimatch(absolutePath, pattern, { dot: true })
+    );
+  }
+
+  // Decide whether a tool call may run; returns a refusal message or null
+  async authorizeToolCall(name, tool, params) {
+    const { kind } = tool.permission;
+    const target = tool.permission.target(params);
+    const { mode, allow, deny } = this.permissions;
+
+    if (kind === 'command') {
+      const segments = this.splitCommandSegments(target);
+      const deniedSegment = segments.find(segment => this.matchesCommandRule(segment, deny.commands));
+      if (deniedSegment) {
+        return `Permission denied: "${deniedSegment}" matches a deny rule. Do not retry this command; choose a different approach.`;
+      }
+      // Any command can write files, so read-only mode asks about every one whatever the mode and rules
+      if (!this.workspace.readOnly && (mode === 'yolo' || (!this.hasShellSideEffects(target) &&
+        segments.every(segment => this.matchesCommandRule(segment, allow.commands))))) {
+        return null;
+      }
+    } else {
+      const targets = [].concat(target);
+      for (const filePath of targets) {
+        // Paths outside the workspace fail in the handler anyway; don't ask about them
+        const resolved = this.resolveWorkspacePath(filePath);
+        if (resolved.error) {
+          return resolved.error;
+        }
+        if (this.matchesPathRule(filePath, deny.paths)) {
+          return `Permission denied: "${filePath}" matches a deny rule. Do not modify this file; choose a different approach.`;
+        }
+      }
+      if (mode !== 'ask' || targets.every(filePath => this.matchesPathRule(filePath, allow.paths))) {
+        return null;
+      }
+    }
+
+    if (this.headless || !process.stdin.isTTY) {
+      return `Permission denied: ${name} requires approval, but no interactive terminal is available.`;
+    }
+
+    const preview = kind === 'command'
+      ? `${Colors.BRIGHT}$ ${target}${Colors.RESET}`
+      : this.formatEditPreview(name, params);
+    const answer = await this.askChoice(`Permission required: ${name}`, preview);
+
+    if (answer === 'a' && kind === 'command' && (this.workspace.readOnly || this.hasShellSideEffects(target))) {
+      console.log(this.formatSystemMessage(this.workspace.readOnly
+        ? 'Allowed once: every command is asked about in read-only mode'
+        : 'Allowed once: commands with substitutions or redirections are always asked about'));
+      return null;
+    }
+    if (answer === 'a') {
+      // Rules match each chained command on its own, so save one per segment
+      const rules = kind === 'command'
+        ? this.splitCommandSegments(target).filter(segment => !this.matchesCommandRule(segment, allow.commands))
+        : [].concat(target).map(filePath => path.relative(this.workspace.root, path.resolve(this.workspace.root, filePath)));
+      for (const rule of rules) {
+        this.savePermissionRule(kind === 'command' ? 'commands' : 'paths', rule);
+        console.log(this.formatSystemMessage(`Always allowing: ${rule}`));
+      }
+      return null;
+    }
+    if (answer === 'y') {
+      return null;
+    }
+
+    return `Permission denied: the user declined this ${name} call. Do not retry it; adjust your plan or ask the user how to proceed.`;
+  }
+
+  // Diff of a proposed file edit shown in the approval prompt
+  formatEditPreview(name, params) {
+    if (name === 'apply_patch') {
+      const plan = this.planPatch(params.patch);
+      if (plan.error || plan.failed) {
+        return `${Colors.BRIGHT}Patch (will not apply cleanly):${Colors.RESET}\n${params.patch}`;
+      }
+      return plan.files.map(file => this.formatDiff(file.path, file.before || '', file.after || '')).join('\n\n');
+    }
+
+    const resolved = this.resolveWorkspacePath(params.filePath);
+    let before = '';
+    if (resolved.path && fs.existsSync(resolved.path)) {
+      before = fs.readFileSync(resolved.path, 'utf8');
+    }
+
+    let after = params.content;
+    if (name === 'multi_edit') {
+      const result = this.applyEdits(before, params.edits);
+      if (result.error) {
+        return `${Colors.BRIGHT}${params.filePath}${Colors.RESET} (will fail: ${result.error.split('\n')[0]})`;
+      }
+      after = result.content;
+    } else if (name === 'replace_string_in_file') {
+      // Without a unique match the edit will fail anyway; show what was asked for
+      if (before.split(params.oldString).length !== 2) {
+        return this.formatDiff(params.filePath, params.oldString, params.newString);
+      }
+      after = before.replace(params.oldString, () => params.newString);
+    }
+    return this.formatDiff(params.filePath, before, after);
+  }
+
+  /**
+   * EDIT DIFFS
+   *
+   * Every edit is shown to the user as a coloured unified diff with old and
+   * new line numbers. The model gets a compact echo of the edited region
+   * (new line numbers and text) so it can check its change without another
+   * read_file.
+   */
+  formatDiff(filePath, before, after) {
+    const ops = diffLines(before, after);
+    const added = ops.filter(op => op.type === '+').length;
+    const removed = ops.filter(op => op.type === '-').length;
+    const lines = [`${Colors.BRIGHT}${this.displayPath(filePath)}${Colors.RESET} ${Colors.GREEN}+${added}${Colors.RESET} ${Colors.RED}-${removed}${Colors.RESET}`];
+
+    const hunks = diffHunks(ops);
+    const width = String(ops.reduce((max, op) => Math.max(max, op.oldLine || 0, op.newLine || 0), 1)).length;
+    for (const hunk of hunks) {
+      lines.push(`${Colors.CYAN}@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@${Colors.RESET}`);
+      for (const op of hunk.ops) {
+        const gutter = `${Colors.DIM}${String(op.oldLine || '').padStart(width)} ${String(op.newLine || '').padStart(width)}${Colors.RESET}`;
+        const color = op.type === '+' ? Colors.GREEN : op.type === '-' ? Colors.RED : '';
+        lines.push(`${gutter} ${color}${op.type} ${op.text}${Colors.RESET}`);
+      }
+    }
+    if (hunks.length === 0) {
+      lines.push(`${Colors.DIM}(no changes)${Colors.RESET}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Show the diff of an edit that was just written; returns the compact summary for the model
+  reportEdit(filePath, before, after) {
+    console.log(this.formatDiff(filePath, before, after));
+
+    const hunks = diffHunks(diffLines(before, after));
+    if (hunks.length === 0) {
+      return 'No lines changed.';
+    }
+
+    const lines = [];
+    for (const hunk of hunks) {
+      const range = hunk.newCount ? `Lines ${hunk.newStart}-${hunk.newStart + hunk.newCount - 1} now read:` : `Lines removed after line ${hunk.newStart}.`;
+      lines.push(range);
+      for (const op of hunk.ops.filter(op => op.type !== '-')) {
+        lines.push(`${String(op.newLine).padStart(5)} | ${op.text}`);
+      }
+    }
+
+    if (lines.length > EDIT_SUMMARY_MAX_LINES) {
+      const omitted = lines.length - EDIT_SUMMARY_MAX_LINES;
+      return [...lines.slice(0, EDIT_SUMMARY_MAX_LINES), `[... ${omitted} more lines, use read_file to see them ...]`].join('\n');
+    }
+    return lines.join('\n');
+  }
+
+  // Show a question and resolve with the key of the chosen answer (default: 'y', 'n' or 'a')
+  askChoice(title, body, question = 'Allow? [y]es / [n]o / [a]lways', keys = ['y', 'n', 'a']) {
+    this.writeToStdout(`\n${Colors.YELLOW}${Colors.BRIGHT}${title}${Colors.RESET}\n${body}\n`);
+    this.writeToStdout(`${Colors.YELLOW}${question}: ${Colors.RESET}`);
+
+    return new Promise((resolve) => {
+      this.pendingChoice = { resolve, keys };
+    });
+  }
+
+  handleChoiceKeypress(str) {
+    const answer = (str || '').toLowerCase();
+    if (!this.pendingChoice.keys.includes(answer)) {
+      return;
+    }
+
+    const { resolve } = this.pendingChoice;
+    this.pendingChoice = null;
+    this.writeToStdout(`${answer}\n`);
+    resolve(answer);
+  }
+
+  // Execute terminal command
+  async runInTerminal(command, explanation, isBackground = false, timeout = this.config.commandTimeout) {
+    const formattedMsg = this.formatSystemMessage(`Executing: ${explanation}`);
+    console.log(`\n${formattedMsg}`);
+    const formattedCmd = this.formatSystemMessage(`Command: ${command}`);
+    console.log(`${formattedCmd}\n`);
+
+    return new Promise((resolve) => {
+      // Determine shell based on OS
+      const isWindows = process.platform === 'win32';
+      const shell = isWindows ? 'cmd.exe' : '/bin/bash';
+      const shellArgs = isWindows ? ['/c', command] : ['-l', '-c', command];
+
+      const childProcess = spawn(shell, shellArgs, {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        shell: false,
+        detached: !isWindows // Own process group, so cancelling or killing stops the whole tree
+      });
+
+      // Writing to a child that already exited must not crash the session
+      childProcess.stdin.on('error', () => {});
+
+      if (isBackground) {
+        const processId = this.trackBackgroundProcess(childProcess, command, explanation);
+        resolve(`Terminal started with ID: ${processId}`);
+        return;
+      }
+
+      // Wait for immediate process to complete, keeping the start and end of its output
+      const startTime = Date.now();
+      const stdout = new OutputBuffer(OUTPUT_MAX_CHARS, { keepHead: true });
+      const stderr = new OutputBuffer(OUTPUT_MAX_CHARS, { keepHead: true });
+      const onStdout = (data) => stdout.append(data.toString());
+      const onStderr = (data) => stderr.append(data.toString());
+      childProcess.stdout.on('data', onStdout);
+      childProcess.stderr.on('data', onStderr);
+      this.foregroundProcesses.add(childProcess);
+
+      let settled = false;
+      let timedOut = false;
+      const finish = (status) => {
+        settled = true;
+        clearTimeout(timer);
+        this.foregroundProcesses.delete(childProcess);
+        resolve(this.formatCommandResult(status, (Date.now() - startTime) / 1000, stdout.toString(), stderr.toString()));
+      };
+
+      const timer = timeout > 0 ? setTimeout(async () => {
+        const choice = await this.askTimeoutAction(command, timeout);
+        // Esc already stopped the command; report it as interrupted, not timed out
+        if (settled || this.cancelRequested) {
+          return;
+        }
+
+        if (choice === 'b') {
+          // Hand the running process over to the background, with what it printed so far
+          settled = true;
+          this.foregroundProcesses.delete(childProcess);
+          childProcess.stdout.off('data', onStdout);
+          childProcess.stderr.off('data', onStderr);
+          const processId = this.trackBackgroundProcess(childProcess, command, explanation, stdout.toString() + stderr.toString());
+          resolve(`Command still running after ${timeout}s and was moved to the background with ID: ${processId}. Use get_terminal_output to check on it.`);
+          return;
+        }
+
+        timedOut = true;
+        this.killProcessTree(childProcess);
+      }, timeout * 1000) : null;
+
+      childProcess.on('close', (code, signal) => {
+        if (settled) {
+          return;
+        }
+
+        // The command finished while the user was being asked what to do about the timeout
+        if (this.pendingChoice?.timeout) {
+          const { resolve: answer } = this.pendingChoice;
+          this.pendingChoice = null;
+          this.writeToStdout('\n');
+          answer(null);
+        }
+
+        if (timedOut) {
+          finish(`Timed out after ${timeout}s and was stopped`);
+        } else if (childProcess.killedByUser) {
+          finish('Interrupted by user');
+        } else {
+          finish(signal ? `Killed by ${signal}` : `Exit code: ${code}`);
+        }
+      });
+
+      childProcess.on('error', (error) => {
+        settled = true;
+        clearTimeout(timer);
+        this.foregroundProcesses.delete(childProcess);
+        resolve(`Error executing command: ${error.message}`);
+      });
+    });
+  }
+
+  // Ask whether a command that hit its timeout should keep running in the background; without a terminal it is stopped
+  async askTimeoutAction(command, timeout) {
+    if (this.headless || !process.stdin.isTTY || this.cancelRequested) {
+      return 'k';
+    }
+
+    const choice = this.askChoice(`Command still running after ${timeout}s`, `${Colors.BRIGHT}$ ${command}${Colors.RESET}`, 'Move to [b]ackground or [k]ill', ['b', 'k']);
+    this.pendingChoice.timeout = true;
+    return choice;
+  }
+
+  // Structured command result: status, duration, then stdout and stderr with the middle of long output omitted
+  formatCommandResult(status, seconds, stdout, stderr) {
+    const sections = [`${status}\nDuration: ${seconds.toFixed(1)}s`];
+    sections.push(`STDOUT:\n${stdout ? this.truncateOutput(stdout) : '(no output)'}`);
+    if (stderr) {
+      sections.push(`STDERR:\n${this.truncateOutput(stderr)}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  truncateOutput(text) {
+    const lines = text.replace(/\n$/, '').split('\n');
+    if (lines.length <= OUTPUT_HEAD_LINES + OUTPUT_TAIL_LINES) {
+      return lines.join('\n');
+    }
+
+    const omitted = lines.length - OUTPUT_HEAD_LINES - OUTPUT_TAIL_LINES;
+    return [
+      ...lines.slice(0, OUTPUT_HEAD_LINES),
+      `[... ${omitted} lines omitted ...]`,
+      ...lines.slice(-OUTPUT_TAIL_LINES)
+    ].join('\n');
+  }
+
+  // Keep a child in backgroundProcesses, collecting its output from now on; returns its ID
+  trackBackgroundProcess(childProcess, command, explanation, initialOutput = '') {
+    const processId = this.nextProcessId++;
+    const job = {
+      process: childProcess,
+      output: new OutputBuffer(),
+      command: command,
+      explanation: explanation,
+      startTime: new Date(),
+      isRunning: true
+    };
+    job.output.append(initialOutput);
+    this.backgroundProcesses.set(processId, job);
+
+    // Continue collecting output for background process
+    childProcess.stdout.on('data', (data) => job.output.append(data.toString()));
+    childProcess.stderr.on('data', (data) => job.output.append(data.toString()));
+
+    childProcess.on('close', (code, signal) => {
+      job.isRunning = false;
+      job.exitCode = code;
+      job.signal = signal;
+      job.endTime = new Date();
+    });
+
+    return processId;
+  }
+
+  /**
+   * BACKGROUND PROCESSES
+   *
+   * Started by run_in_terminal with isBackground=true and kept in
+   * backgroundProcesses by ID. Each keeps its output in an OutputBuffer, can
+   * be fed stdin or killed, and is stopped when the session exits.
+   */
+  describeJobStatus(job) {
+    if (job.isRunning) {
+      return 'Running';
+    }
+    return job.signal ? `Stopped (${job.signal})` : `Completed (exit code: ${job.exitCode})`;
+  }
+
+  // Get output from background process, optionally only new output (since) or the last lines (tail)
+  getTerminalOutput(processId, options = {}) {
+    const job = this.backgroundProcesses.get(parseInt(processId));
+    if (!job) {
+      return `No process found with ID: ${processId}`;
+    }
+
+    const { text, dropped, next } = job.output.read({ since: options.since ?? null, tail: options.tail ?? null });
+    const notes = [];
+    if (dropped > 0) {
+      notes.push(`[${dropped} earlier characters dropped from the buffer]`);
+    }
+    notes.push(`[Cursor: ${next} - pass since=${next} to get only newer output]`);
+
+    return `Process ${processId} [${this.describeJobStatus(job)}]:\nCommand: ${job.command}\n\nOutput:\n${text || '(no new output)'}\n\n${notes.join('\n')}`;
+  }
+
+  sendTerminalInput(processId, input, newline = true) {
+    const job = this.backgroundProcesses.get(parseInt(processId));
+    if (!job) {
+      return `No process found with ID: ${processId}`;
+    }
+    if (!job.isRunning || !job.process.stdin.writable) {
+      return `Error: process ${processId} is not running`;
+    }
+
+    job.process.stdin.write(newline ? `${input}\n` : input);
+    return `Sent ${input.length} characters to process ${processId}`;
+  }
+
+  killTerminal(processId) {
+    const job = this.backgroundProcesses.get(parseInt(processId));
+    if (!job) {
+      return `No process found with ID: ${processId}`;
+    }
+    if (!job.isRunning) {
+      return `Process ${processId} is not running: ${this.describeJobStatus(job)}`;
+    }
+
+    this.killProcessTree(job.process);
+    return `Sent SIGTERM to process ${processId}: ${job.command}`;
+  }
+
+  listTerminals() {
+    if (this.backgroundProcesses.size === 0) {
+      return 'No background processes';
+    }
+
+    const lines = [];
+    for (const [id, job] of this.backgroundProcesses) {
+      const seconds = Math.round(((job.endTime || new Date()) - job.startTime) / 1000);
+      lines.push(`${id}: [${this.describeJobStatus(job)}] ${seconds}s, ${job.output.total} chars output - ${job.command}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Stop every background process that is still running (on exit)
+  stopBackgroundProcesses() {
+    for (const job of this.backgroundProcesses.values()) {
+      if (job.isRunning) {
+        this.killProcessTree(job.process);
+      }
+    }
+  }
+
+  // File System Operations
+
+  /**
+   * WORKSPACE SANDBOX
+   *
+   * File tools may only touch paths inside the workspace root (default: the
+   * launch directory) or one of the extra allowed directories. Paths are
+   * resolved relative to the root and through realpath, so `../` escapes and
+   * symlinks pointing outside are rejected. Read-only mode disables the
+   * file-writing tools entirely.
+   */
+  loadWorkspace() {
+    const toRealPath = (dir) => {
+      try {
+        return fs.realpathSync(path.resolve(dir));
+      } catch (error) {
+        console.log(this.formatSystemMessage(`Ignoring workspace directory "${dir}": ${error.message}`));
+        return null;
+      }
+    };
+
+    const extraDirs = (process.env.OLLAMA_ADD_DIRS || '').split(path.delimiter).filter(Boolean);
+
+    this.workspace = {
+      root: toRealPath(process.env.OLLAMA_WORKSPACE || process.cwd()) || fs.realpathSync(process.cwd()),
+      extraDirs: extraDirs.map(toRealPath).filter(Boolean),
+      readOnly: ['1', 'true'].includes(process.env.OLLAMA_READ_ONLY)
+    };
+  }
+
+  // Workspace rules appended to the generated tool documentation
+  describeWorkspace() {
+    const lines = [
+      '## Workspace',
+      `File tools can only access paths inside the workspace root \`${this.workspace.root}\`` +
+      (this.workspace.extraDirs.length > 0 ? ` and: ${this.workspace.extraDirs.map(dir => `\`${dir}\``).join(', ')}` : '') + '.',
+      'Relative paths are resolved against the workspace root.'
+    ];
+    if (this.workspace.readOnly) {
+      lines.push('The workspace is **read-only**: files cannot be created or modified, and every shell command needs the user\'s approval.');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Resolve a tool path argument inside the workspace.
+   * Returns { path } with the real path, or { error } when access is blocked.
+   */
+  resolveWorkspacePath(inputPath) {
+    const absolutePath = path.resolve(this.workspace.root, inputPath);
+
+    // Resolve the deepest existing ancestor so symlinks are followed even for files that don't exist yet
+    let existing = absolutePath;
+    const missing = [];
+    while (!this.pathExists(existing)) {
+      const parent = path.dirname(existing);
+      if (parent === existing) break;
+      missing.unshift(path.basename(existing));
+      existing = parent;
+    }
+
+    let realPath;
+    try {
+      realPath = path.join(fs.realpathSync(existing), ...missing);
+    } catch (error) {
+      // Dangling symlinks can't be checked, so they are never followed
+      return { error: this.formatAccessDenied(inputPath) };
+    }
+
+    const allowedDirs = [this.workspace.root, ...this.workspace.extraDirs];
+    const isAllowed = allowedDirs.some(dir =>
+      realPath === dir || realPath.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep)
+    );
+
+    return isAllowed ? { path: realPath } : { error: this.formatAccessDenied(inputPath) };
+  }
+
+  // Like fs.existsSync, but true for symlinks whose target is missing
+  pathExists(filePath) {
+    try {
+      fs.lstatSync(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  formatAccessDenied(inputPath) {
+    const allowedDirs = [this.workspace.root, ...this.workspace.extraDirs];
+    return `Error: Access denied: "${inputPath}" is outside the workspace. Allowed directories: ${allowedDirs.join(', ')}`;
+  }
+
+  // List directory contents
+  listDir(dirPath) {
+    const resolved = this.resolveWorkspacePath(dirPath);
+    if (resolved.error) {
+      return resolved.error;
+    }
+
+    try {
+      if (!fs.existsSync(resolved.path)) {
+        return `Error: Directory "${dirPath}" does not exist.`;
+      }
+
+      const stats = fs.statSync(resolved.path);
+      if (!stats.isDirectory()) {
+        return `Error: "${dirPath}" is not a directory.`;
+      }
+
+      const items = fs.readdirSync(resolved.path);
+      const result = items.map(item => {
+        const itemPath = path.join(resolved.path, item);
+        // Dangling symlinks can't be stat'ed; list them as plain entries
+        const isDirectory = fs.existsSync(itemPath) && fs.statSync(itemPath).isDirectory();
+        return isDirectory ? `${item}/` : item;
+      });
+
+      return result.length > 0 ? result.join('\n') : '(empty directory)';
+    } catch (error) {
+      return `Error listing directory: ${error.message}`;
+    }
+  }
+
+  /**
+   * @ MENTIONS
+   *
+   * `@path`, `@path#L10-40` and `@dir/` in a prompt attach the file (through
+   * read_file, so the same size limits and binary/image handling apply) or a
+   * directory listing below the message, each in a <file>/<directory> block.
+   * Paths that don't exist or are ignored by .gitignore/.ignore are left as
+   * plain text.
+   */
+  async expandMentions(message) {
+    const blocks = [];
+    const seen = new Set();
+
+    for (const match of message.matchAll(/(?:^|\s)@(\S+)/g)) {
+      let token = match[1];
+      let range = token.match(/#L(\d+)(?:-L?(\d+))?$/);
+      let mentionPath = range ? token.slice(0, range.index) : token;
+      if (!this.pathExists(path.resolve(this.workspace.root, mentionPath))) {
+        // Allow trailing punctuation after the path: "look at @src/app.js."
+        token = token.replace(/[.,;:!?)'"]+$/, '');
+        range = token.match(/#L(\d+)(?:-L?(\d+))?$/);
+        mentionPath = range ? token.slice(0, range.index) : token;
+      }
+      if (seen.has(token)) {
+        continue;
+      }
+
+      const block = await this.describeMention(mentionPath, range);
+      if (block) {
+        seen.add(token);
+        blocks.push(block.content);
+        console.log(this.formatSystemMessage(`Attached ${block.label}`));
+      }
+    }
+
+    return blocks.length > 0 ? `${message}\n\n${blocks.join('\n\n')}` : message;
+  }
+
+  // A { label, content } block for one mention, or null when it should stay plain text
+  async describeMention(mentionPath, range) {
+    const resolved = this.resolveWorkspacePath(mentionPath);
+    if (resolved.error || !fs.existsSync(resolved.path)) {
+      return null;
+    }
+
+    const relative = path.relative(this.workspace.root, resolved.path).split(path.sep).join('/');
+    const insideRoot = !relative.startsWith('..') && !path.isAbsolute(relative);
+    const isDirectory = fs.statSync(resolved.path).isDirectory();
+    const rules = insideRoot ? this.ignoreRulesFor(isDirectory ? relative : path.posix.dirname(relative)) : [];
+    if (!rules || (insideRoot && relative && isIgnoredPath(relative, isDirectory, rules))) {
+      return null;
+    }
+
+    const displayPath = this.displayPath(resolved.path);
+    if (isDirectory) {
+      const entries = fs.readdirSync(resolved.path, { withFileTypes: true })
+        .filter(entry => entry.name !== '.git')
+        .filter(entry => !insideRoot || !isIgnoredPath(relative ? `${relative}/${entry.name}` : entry.name, entry.isDirectory(), rules))
+        .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name)
+        .sort();
+      return {
+        label: `@${displayPath}/ (${entries.length} entries)`,
+        content: `<directory path="${displayPath}/">\n${entries.join('\n') || '(empty directory)'}\n</directory>`
+      };
+    }
+
+    const start = range ? parseInt(range[1], 10) : null;
+    const end = range && range[2] ? Math.max(start, parseInt(range[2], 10)) : start;
+    const lines = range ? `${start}-${end}` : null;
+    const content = await this.readFile(displayPath, start, range ? end - start + 1 : null);
+    return {
+      label: `@${displayPath}${lines ? ` (lines ${lines})` : ''}`,
+      content: `<file path="${displayPath}"${lines ? ` lines="${lines}"` : ''}>\n${content}\n</file>`
+    };
+  }
+
+  // Tab completion of the path after @: shell-style by path segment, else fuzzy over the workspace
+  completeMention() {
+    const before = this.currentInput.slice(0, this.cursorPos);
+    const fragment = before.match(/@(\S*)$/)[1];
+    const paths = this.walkWorkspace().entries.map(entry => entry.isDirectory ? `${entry.relPath}/` : entry.relPath);
+
+    const prefixed = paths.filter(candidate => candidate.startsWith(fragment) &&
+      !candidate.slice(fragment.length).replace(/\/$/, '').includes('/'));
+    const candidates = prefixed.length > 0 || !fragment
+      ? prefixed.sort()
+      : paths
+        .map(candidate => ({ candidate, score: fuzzyScore(fragment, candidate) }))
+        .filter(({ score }) => score !== null)
+        .sort((a, b) => a.score - b.score)
+        .map(({ candidate }) => candidate);
+    if (candidates.length === 0) {
+      return;
+    }
+
+    let completion = null;
+    if (candidates.length === 1) {
+      completion = candidates[0].endsWith('/') ? candidates[0] : `${candidates[0]} `;
+    } else if (prefixed.length > 0) {
+      let common = candidates[0];
+      for (const candidate of candidates) {
+        while (!candidate.startsWith(common)) {
+          common = common.slice(0, -1);
+        }
+      }
+      completion = common.length > fragment.length ? common : null;
+    }
+
+    if (completion === null) {
+      const shown = candidates.slice(0, 10).map(candidate => `@${candidate}`).join('  ');
+      const more = candidates.length > 10 ? `  (+${candidates.length - 10} more)` : '';
+      this.moveToInputEnd();
+      this.writeToStdout('\n' + this.formatSystemMessage(shown + more) + '\n');
+      this.redrawLine();
+      return;
+    }
+
+    this.currentInput = before.slice(0, before.length - fragment.length) + completion + this.currentInput.slice(this.cursorPos);
+    this.cursorPos = before.length - fragment.length + completion.length;
+    this.redrawLine();
+  }
+
+  /**
+   * WORKSPACE SEARCH
+   *
+   * file_search and grep_search walk the workspace themselves so they can
+   * honour .gitignore and .ignore files (and .git/info/exclude) the way git
+   * and ripgrep do. .git is never entered, node_modules is skipped unless an
+   * ignore file re-includes it, and symlinked directories are not followed.
+   */
+  walkWorkspace() {
+    const root = this.workspace.root;
+    const entries = [];
+    let truncated = false;
+
+    const walk = (dir, relDir, rules) => {
+      const dirRules = [...rules, ...this.readIgnoreRules(dir, relDir)];
+      let names;
+      try {
+        names = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        return; // Unreadable directory
+      }
+
+      for (const entry of names) {
+        if (entries.length >= WALK_MAX_ENTRIES) {
+          truncated = true;
+          return;
+        }
+        if (entry.name === '.git') {
+          continue;
+        }
+
+        const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+        const absPath = path.join(dir, entry.name);
+        let isDirectory = entry.isDirectory();
+        if (entry.isSymbolicLink()) {
+          // Symlinked files are fine while they stay in the workspace; symlinked directories are not followed
+          if (this.resolveWorkspacePath(absPath).error) {
+            continue;
+          }
+          try {
+            isDirectory = fs.statSync(absPath).isDirectory();
+          } catch (error) {
+            continue; // Dangling link
+          }
+        }
+
+        if (isIgnoredPath(relPath, isDirectory, dirRules)) {
+          continue;
+        }
+        entries.push({ relPath, absPath, isDirectory });
+        if (isDirectory && !entry.isSymbolicLink()) {
+          walk(absPath, relPath, dirRules);
+        }
+      }
+    };
+
+    walk(root, '', parseIgnoreFile(DEFAULT_IGNORE_PATTERNS.join('\n'), ''));
+    return { entries, truncated };
+  }
+
+  // Rules from the ignore files in one directory (relDir is relative to the workspace root, '' for the root)
+  readIgnoreRules(dir, relDir) {
+    const rules = [];
+    const files = relDir ? ['.gitignore', '.ignore'] : [path.join('.git', 'info', 'exclude'), '.gitignore', '.ignore'];
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      if (fs.existsSync(filePath)) {
+        rules.push(...parseIgnoreFile(fs.readFileSync(filePath, 'utf8'), relDir));
+      }
+    }
+    return rules;
+  }
+
+  // The rules that apply inside relDir, or null when relDir itself is ignored
+  ignoreRulesFor(relDir) {
+    const root = this.workspace.root;
+    let rules = parseIgnoreFile(DEFAULT_IGNORE_PATTERNS.join('\n'), '').concat(this.readIgnoreRules(root, ''));
+    let current = '';
+    for (const segment of relDir.split('/').filter(Boolean)) {
+      current = current ? `${current}/${segment}` : segment;
+      if (segment === '.git' || isIgnoredPath(current, true, rules)) {
+        return null;
+      }
+      rules = rules.concat(this.readIgnoreRules(path.join(root, current), current));
+    }
+    return rules;
+  }
+
+  // Search for files by glob pattern, newest first
+  fileSearch(pattern, maxResults = 50) {
+    try {
+      const { entries, truncated } = this.walkWorkspace();
+      const files = entries
+        .filter(entry => minimatch(entry.relPath, pattern))
+        .map(entry => ({ ...entry, mtime: fs.statSync(entry.absPath).mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime)
+        .map(entry => entry.relPath);
+
+      if (files.length === 0) {
+        return `No files found matching pattern: ${pattern}`;
+      }
+
+      const limitedFiles = maxResults ? files.slice(0, maxResults) : files;
+      let result = limitedFiles.join('\n');
+
+      if (files.length > limitedFiles.length) {
+        result += `\n... and ${files.length - limitedFiles.length} more files (showing first ${maxResults})`;
+      }
+      if (truncated) {
+        result += `\n[Search stopped after ${WALK_MAX_ENTRIES} entries; use a more specific pattern]`;
+      }
+
+      return result;
+    } catch (error) {
+      return `Error searching files: ${error.message}`;
+    }
+  }
+
+  // Search for text within files (grep)
+  async grepSearch(query, options = {}) {
+    const {
+      isRegexp = false,
+      includePattern = '**/*',
+      fileType,
+      caseSensitive = false,
+      wholeWord = false,
+      contextBefore = 0,
+      contextAfter = 0,
+      outputMode = 'content',
+      maxResults = 50
+    } = options;
+
+    if (!['content', 'files', 'count'].includes(outputMode)) {
+      return `Error: outputMode must be one of: content, files, count (got "${outputMode}")`;
+    }
+
+    let typeGlobs = null;
+    if (fileType) {
+      const types = fileType.split(',').map(type => type.trim()).filter(Boolean);
+      const unknown = types.filter(type => !FILE_TYPES[type]);
+      if (unknown.length > 0) {
+        return `Error: Unknown file type "${unknown.join(', ')}". Known types: ${Object.keys(FILE_TYPES).join(', ')}`;
+      }
+      typeGlobs = types.flatMap(type => FILE_TYPES[type]);
+    }
+
+    let searchRegex;
+    try {
+      const source = isRegexp ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      searchRegex = new RegExp(wholeWord ? `\\b(?:${source})\\b` : source, caseSensitive ? '' : 'i');
+    } catch (error) {
+      return `Error: ${error.message}`;
+    }
+
+    try {
+      const { entries, truncated } = this.walkWorkspace();
+      const files = entries.filter(entry => !entry.isDirectory &&
+        minimatch(entry.relPath, includePattern) &&
+        (!typeGlobs || typeGlobs.some(typeGlob => minimatch(path.posix.basename(entry.relPath), typeGlob))));
+
+      const output = [];
+      let matchCount = 0;
+      let limitReached = false;
+
+      for (const file of files) {
+        if (limitReached) {
+          break;
+        }
+        if (this.isBinaryFile(file.absPath)) {
+          continue;
+        }
+
+        const remaining = outputMode === 'content' ? maxResults - matchCount : Infinity;
+        const result = await this.searchFile(file.absPath, searchRegex, {
+          before: outputMode === 'content' ? contextBefore : 0,
+          after: outputMode === 'content' ? contextAfter : 0,
+          maxMatches: outputMode === 'files' ? 1 : remaining
+        });
+        if (result.matches === 0) {
+          continue;
+        }
+
+        matchCount += result.matches;
+        if (outputMode === 'files') {
+          output.push(file.relPath);
+        } else if (outputMode === 'count') {
+          output.push(`${file.relPath}:${result.matches}`);
+        } else {
+          for (const group of result.groups) {
+            if (output.length > 0 && (contextBefore > 0 || contextAfter > 0)) {
+              output.push('--');
+            }
+            output.push(...group.map(line => `${file.relPath}${line.isMatch ? ':' : '-'}${line.number}${line.isMatch ? ':' : '-'}${line.text}`));
+          }
+        }
+
+        limitReached = outputMode === 'content' ? matchCount >= maxResults : output.length >= maxResults;
+      }
+
+      if (output.length === 0) {
+        return `No matches found for: ${query}`;
+      }
+
+      let result = output.join('\n');
+      if (limitReached) {
+        result += `\n[Stopped after ${maxResults} ${outputMode === 'content' ? 'matches' : 'files'}; narrow the search or raise maxResults]`;
+      }
+      if (truncated) {
+        result += `\n[Search stopped after ${WALK_MAX_ENTRIES} entries; use includePattern to narrow it]`;
+      }
+      return result;
+    } catch (error) {
+      return `Error searching text: ${error.message}`;
+    }
+  }
+
+  // Check the start of a file for binary content without reading all of it
+  isBinaryFile(filePath) {
+    try {
+      const sample = this.readFileStart(filePath, 8192);
+      return Boolean(this.detectFileType(sample)) || this.isBinary(sample);
+    } catch (error) {
+      return true; // Unreadable: skip it
+    }
+  }
+
+  // The first bytes of a file
+  readFileStart(filePath, length) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(length);
+      return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, 0));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Matching lines of one file, grouped with their context lines:
+   * { matches, groups: [[{ number, text, isMatch }]] }.
+   * Large files are read as a stream, one line at a time.
+   */
+  async searchFile(filePath, regex, { before = 0, after = 0, maxMatches = Infinity }) {
+    const lines = fs.statSync(filePath).size > GREP_STREAM_THRESHOLD
+      ? readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity })
+      : fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '').split(/\r?\n/);
+
+    const groups = [];
+    let group = null;
+    const previous = []; // Rolling window of lines before the current one
+    let lastShown = 0;   // Number of the last line already in a group
+    let afterRemaining = 0;
+    let matches = 0;
+    let number = 0;
+
+    for await (const rawLine of lines) {
+      number++;
+      const text = rawLine.length > GREP_MAX_LINE_LENGTH ? `${rawLine.slice(0, GREP_MAX_LINE_LENGTH)}...` : rawLine;
+
+      if (matches < maxMatches && regex.test(rawLine)) {
+        matches++;
+        if (!group) {
+          const context = previous.filter(line => line.number > lastShown);
+          const adjacent = groups.length > 0 && (context.length > 0 ? context[0].number : number) === lastShown + 1;
+          group = adjacent ? groups[groups.length - 1] : [];
+          if (!adjacent) {
+            groups.push(group);
+          }
+          group.push(...context);
+        }
+        group.push({ number, text, isMatch: true });
+        lastShown = number;
+        afterRemaining = after;
+      } else if (group && afterRemaining > 0) {
+        group.push({ number, text, isMatch: false });
+        lastShown = number;
+        afterRemaining--;
+      } else {
+        group = null;
+        if (matches >= maxMatches) {
+          break;
+        }
+      }
+
+      previous.push({ number, text, isMatch: false });
+      if (previous.length > before) {
+        previous.shift();
+      }
+    }
+
+    if (typeof lines.close === 'function') {
+      lines.close();
+    }
+    return { matches, groups };
+  }
+
+  // Read file contents
+  async readFile(filePath, offset = null, limit = null) {
+    const resolved = this.resolveWorkspacePath(filePath);
+    if (resolved.error) {
+      return resolved.error;
+    }
+
+    try {
+      if (!fs.existsSync(resolved.path)) {
+        return `Error: File "${filePath}" does not exist.`;
+      }
+
+      const stats = fs.statSync(resolved.path);
+      if (stats.isDirectory()) {
+        return `Error: "${filePath}" is a directory, not a file.`;
+      }
+
+      // Only the start is needed to tell text from binary; big text files are streamed
+      const sample = this.readFileStart(resolved.path, 8192);
+      const fileType = this.detectFileType(sample);
+      if (fileType && IMAGE_MIME_TYPES.includes(fileType.mimeType)) {
+        return this.readImage(filePath, resolved.path, fileType, stats.size);
+      }
+      if (fileType || this.isBinary(sample)) {
+        const hex = [...sample.subarray(0, 16)].map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+        return `Binary file: ${filePath} (${fileType ? fileType.description : 'unknown binary data'}, ${this.formatBytes(stats.size)}). Its contents are not shown; first bytes: ${hex}`;
+      }
+
+      if (stats.size > READ_STREAM_THRESHOLD) {
+        return await this.streamNumberedLines(resolved.path, offset, limit);
+      }
+      return this.formatNumberedLines(fs.readFileSync(resolved.path, 'utf8'), offset, limit);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return `Error: File "${filePath}" not found.`;
+      } else if (error.code === 'EACCES') {
+        return `Error: Permission denied reading "${filePath}".`;
+      } else {
+        return `Error reading file: ${error.message}`;
+      }
+    }
+  }
+
+  // Numbered lines from offset, cut off at the line limit or READ_MAX_BYTES with a note on how to continue
+  formatNumberedLines(content, offset, limit) {
+    if (content === '') {
+      return '[Empty file]';
+    }
+
+    const lines = content.split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+      lines.pop(); // Trailing newline, not an extra line
+    }
+
+    const total = lines.length;
+    const start = offset ? Math.max(0, offset - 1) : 0;
+    if (start >= total && total > 0) {
+      return `Error: offset ${offset} is past the end of the file (${total} lines).`;
+    }
+
+    const end = Math.min(total, start + (limit || READ_DEFAULT_LINES));
+    const range = lines.slice(start, end).map(text => ({ text, length: text.length }));
+    return this.numberLines(range, start, total, limit);
+  }
+
+  // Like formatNumberedLines, but keeps only the requested lines of a large file; the rest is
+  // just counted. Lines are cut at READ_MAX_LINE_LENGTH while reading, so a huge single-line
+  // file is not held in memory.
+  async streamNumberedLines(filePath, offset, limit) {
+    const start = offset ? Math.max(0, offset - 1) : 0;
+    const end = start + (limit || READ_DEFAULT_LINES);
+    const range = [];
+    let lineNumber = 0;
+    let current = '';
+    let length = 0;
+    let bytes = 0;
+    let collecting = true;
+
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    try {
+      for await (const chunk of stream) {
+        let position = 0;
+        while (collecting && position < chunk.length) {
+          const newline = chunk.indexOf('\n', position);
+          const piece = chunk.slice(position, newline === -1 ? chunk.length : newline);
+          if (lineNumber >= start && current.length <= READ_MAX_LINE_LENGTH) {
+            current += piece.slice(0, READ_MAX_LINE_LENGTH + 1 - current.length);
+          }
+          length += piece.length;
+          if (newline === -1) {
+            break;
+          }
+          position = newline + 1;
+
+          if (lineNumber >= start) {
+            range.push({ text: current, length });
+            bytes += Math.min(length, READ_MAX_LINE_LENGTH) + 1;
+          }
+          lineNumber++;
+          current = '';
+          length = 0;
+          if (lineNumber >= end || bytes > READ_MAX_BYTES) {
+            collecting = false;
+          }
+        }
+
+        // Past the requested lines: only count the rest, for the total
+        if (!collecting) {
+          let newline;
+          while ((newline = chunk.indexOf('\n', position)) !== -1) {
+            lineNumber++;
+            length = 0;
+            position = newline + 1;
+          }
+          length += chunk.length - position;
+        }
+      }
+    } finally {
+      stream.destroy();
+    }
+
+    // A last line without a newline
+    if (length > 0) {
+      if (collecting && lineNumber >= start) {
+        range.push({ text: current, length });
+      }
+      lineNumber++;
+    }
+    if (start >= lineNumber) {
+      return `Error: offset ${offset} is past the end of the file (${lineNumber} lines).`;
+    }
+    return this.numberLines(range, start, lineNumber, limit);
+  }
+
+  // Number lines { text, length } starting after line `start`, cut off at READ_MAX_BYTES
+  numberLines(range, start, total, limit) {
+    const width = String(start + range.length).length;
+    const output = [];
+    let bytes = 0;
+    let lineNumber = start;
+
+    for (const { text, length } of range) {
+      let line = text.replace(/\r$/, '');
+      if (line.length > READ_MAX_LINE_LENGTH) {
+        line = `${line.slice(0, READ_MAX_LINE_LENGTH)}... [line truncated, ${length} characters]`;
+      }
+      const numbered = `${String(lineNumber + 1).padStart(width)} | ${line}`;
+      if (bytes + numbered.length > READ_MAX_BYTES && output.length > 0) {
+        break;
+      }
+      output.push(numbered);
+      bytes += numbered.length + 1;
+      lineNumber++;
+    }
+
+    if (lineNumber < total) {
+      output.push(`[Showing lines ${start + 1}-${lineNumber} of ${total}. Use offset=${lineNumber + 1} to read more.]`);
+    } else if (start > 0 || limit) {
+      output.push(`[End of file: ${total} lines]`);
+    }
+    return output.join('\n');
+  }
+
+  // Attach an image for vision models; others get a description
+  async readImage(filePath, realPath, fileType, size) {
+    const summary = `Image file: ${filePath} (${fileType.description}, ${this.formatBytes(size)})`;
+    if (size > IMAGE_MAX_BYTES) {
+      return `${summary}. Too large to attach (limit ${this.formatBytes(IMAGE_MAX_BYTES)}).`;
+    }
+    if (!await this.modelSupportsVision()) {
+      return `${summary}. The current model (${this.model}) does not accept images, so it was not attached.`;
+    }
+
+    const data = fs.readFileSync(realPath).toString('base64');
+    this.pendingImages.push({ path: filePath, mimeType: fileType.mimeType, data });
+    return `${summary}. The image is attached to the next message.`;
+  }
+
+  // Recognise common binary formats from their magic bytes
+  detectFileType(buffer) {
+    const signatures = [
+      { bytes: [0x89, 0x50, 0x4e, 0x47], mimeType: 'image/png', description: 'PNG image' },
+      { bytes: [0xff, 0xd8, 0xff], mimeType: 'image/jpeg', description: 'JPEG image' },
+      { bytes: [0x47, 0x49, 0x46, 0x38], mimeType: 'image/gif', description: 'GIF image' },
+      { bytes: [0x25, 0x50, 0x44, 0x46], mimeType: 'application/pdf', description: 'PDF document' },
+      { bytes: [0x50, 0x4b, 0x03, 0x04], mimeType: 'application/zip', description: 'ZIP archive' },
+      { bytes: [0x1f, 0x8b], mimeType: 'application/gzip', description: 'gzip archive' },
+      { bytes: [0x7f, 0x45, 0x4c, 0x46], mimeType: 'application/x-elf', description: 'ELF executable' }
+    ];
+
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+      return { mimeType: 'image/webp', description: 'WebP image' };
+    }
+    return signatures.find(signature => signature.bytes.every((byte, index) => buffer[index] === byte)) || null;
+  }
+
+  // NUL bytes, lots of control characters or invalid UTF-8 in the first 8 KB mean binary data
+  isBinary(buffer) {
+    const sample = buffer.subarray(0, 8192);
+    const text = sample.toString('utf8');
+    const invalid = (text.match(/\uFFFD/g) || []).length;
+    if (text.length > 0 && invalid / text.length > 0.1) {
+      return true;
+    }
+
+    let control = 0;
+    for (const byte of sample) {
+      if (byte === 0) {
+        return true;
+      }
+      if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13 && byte !== 12 && byte !== 27) {
+        control++;
+      }
+    }
+    return sample.length > 0 && control / sample.length > 0.3;
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} bytes`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  }
+
+  // "vision" in the model config, else the capabilities Ollama reports for the model (cached per model)
+  async modelSupportsVision() {
+    const configured = this.config.models[this.model]?.vision;
+    if (typeof configured === 'boolean') {
+      return configured;
+    }
+    if (this.visionSupport?.model === this.model) {
+      return this.visionSupport.supported;
+    }
+
+    let supported = false;
+    try {
+      const response = await fetch(`${this.baseUrl.replace(/\/v1$/, '')}/api/show`, {
+        method: 'POST',
+        headers: this.buildHeaders(),
+        body: JSON.stringify({ model: this.model })
+      });
+      if (response.ok) {
+        const details = await response.json();
+        supported = (details.capabilities || []).includes('vision');
+      }
+    } catch (error) {
+      // Unknown server: assume text only
+    }
+
+    this.visionSupport = { model: this.model, supported };
+    return supported;
+  }
+
+  // Images read by tools during this step go to the model as a user message after the tool results
+  attachPendingImages() {
+    if (this.pendingImages.length === 0) {
+      return;
+    }
+
+    const images = this.pendingImages;
+    this.pendingImages = [];
+    this.conversationHistory.push({
+      role: 'user',
+      content: `[Attached image${images.length === 1 ? '' : 's'} from read_file: ${images.map(image => image.path).join(', ')}]`,
+      images
+    });
+  }
+
+  // Create new file
+  createFile(filePath, content) {
+    const resolved = this.resolveWorkspacePath(filePath);
+    if (resolved.error) {
+      return resolved.error;
+    }
+
+    try {
+      // Create directory if it doesn't exist
+      const dir = path.dirname(resolved.path);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      // Check if file already exists
+      if (fs.existsSync(resolved.path)) {
+        return `Error: File "${filePath}" already exists. Use replace_string_in_file to edit existing files.`;
+      }
+
+      // Ensure content is properly unescaped (in case it wasn't handled in XML parsing)
+      const finalContent = typeof content === 'string' ? content : '';
+
+      this.writeWorkspaceFile(resolved.path, finalContent);
+      return `File created successfully: ${filePath}\n${this.reportEdit(resolved.path, '', finalContent)}`;
+    } catch (error) {
+      return `Error creating file: ${error.message}`;
+    }
+  }
+
+  // Replace string in existing file
+  replaceStringInFile(filePath, oldString, newString) {
+    const resolved = this.resolveWorkspacePath(filePath);
+    if (resolved.error) {
+      return resolved.error;
+    }
+
+    try {
+      if (!fs.existsSync(resolved.path)) {
+        return `Error: File "${filePath}" does not exist.`;
+      }
+
+      const content = fs.readFileSync(resolved.path, 'utf8');
+
+      // Ensure strings are properly unescaped (in case they weren't handled in XML parsing)
+      const finalOldString = typeof oldString === 'string' ? oldString : '';
+      const finalNewString = typeof newString === 'string' ? newString : '';
+
+      // Check if the old string exists in the file
+      if (!content.includes(finalOldString)) {
+        return `Error: The specified text was not found in the file. Make sure the oldString matches exactly, including whitespace and line breaks.${this.describeClosestMatch(content, finalOldString)}`;
+      }
+
+      // Count occurrences to warn about multiple matches
+      const occurrences = (content.match(new RegExp(finalOldString.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')) || []).length;
+      if (occurrences > 1) {
+        return `Error: Found ${occurrences} occurrences of the text. Please provide more specific context to ensure unique replacement.`;
+      }
+
+      const newContent = content.replace(finalOldString, () => finalNewString);
+      this.writeWorkspaceFile(resolved.path, newContent);
+
+      return `File updated successfully: ${filePath}\n${this.reportEdit(resolved.path, content, newContent)}`;
+    } catch (error) {
+      return `Error replacing string in file: ${error.message}`;
+    }
   }
 
-  formatFunctionCall(text) {
-    const header = `${Colors.RESET}${Colors.FUNCTION_CALL}${Colors.BRIGHT}╔═ FUNCTION CALL ═══════════════════════════════════════╗${Colors.RESET}`;
-    const footer = `${Colors.FUNCTION_CALL}${Colors.BRIGHT}╚═══════════════════════════════════════════════════════╝${Colors.RESET}`;
-    const lines = text.split('\n');
-    const content = lines.map(line =>
-      `${Colors.FUNCTION_CALL}║ ${line.padEnd(53)} ║${Colors.RESET}`
-    ).join('\n');
-    return `\n${header}\n${content}\n${footer}\n`;
+  // Apply several replacements to one file; all or nothing
+  multiEdit(filePath, edits) {
+    const resolved = this.resolveWorkspacePath(filePath);
+    if (resolved.error) {
+      return resolved.error;
+    }
+
+    try {
+      if (!fs.existsSync(resolved.path)) {
+        return `Error: File "${filePath}" does not exist.`;
+      }
+
+      const content = fs.readFileSync(resolved.path, 'utf8');
+      const result = this.applyEdits(content, edits);
+      if (result.error) {
+        return `Error: ${result.error}\nNo changes were made to ${filePath}.`;
+      }
+
+      this.writeWorkspaceFile(resolved.path, result.content);
+      return `File updated successfully: ${filePath} (${edits.length} edit${edits.length === 1 ? '' : 's'})\n${this.reportEdit(resolved.path, content, result.content)}`;
+    } catch (error) {
+      return `Error editing file: ${error.message}`;
+    }
   }
 
-  formatFunctionResult(text) {
-    const header = `${Colors.FUNCTION_RESULT}${Colors.BRIGHT}╭── FUNCTION RESULT ──────────────────────────────────────╮${Colors.RESET}`;
-    const footer = `${Colors.FUNCTION_RESULT}${Colors.BRIGHT}╰─────────────────────────────────────────────────────────╯${Colors.RESET}`;
-    const lines = text.split('\n');
-    const content = lines.map(line =>
-      `${Colors.FUNCTION_RESULT}│ ${line.padEnd(55)} │${Colors.RESET}`
-    ).join('\n');
-    return `\n${header}\n${content}\n${footer}\n`;
+  // Run old/new pairs in order on a string; resolves { content } or { error } naming the failing edit
+  applyEdits(content, edits) {
+    let current = content;
+
+    for (let index = 0; index < edits.length; index++) {
+      const edit = edits[index];
+      const label = `Edit ${index + 1} of ${edits.length}`;
+      if (!edit || typeof edit.oldString !== 'string' || typeof edit.newString !== 'string') {
+        return { error: `${label}: each edit needs string oldString and newString fields` };
+      }
+      if (edit.oldString === '') {
+        return { error: `${label}: oldString must not be empty` };
+      }
+
+      const occurrences = current.split(edit.oldString).length - 1;
+      if (occurrences === 0) {
+        return { error: `${label}: oldString was not found${index > 0 ? ' (after applying the previous edits)' : ''}.${this.describeClosestMatch(current, edit.oldString)}` };
+      }
+      if (occurrences > 1 && !edit.replaceAll) {
+        return { error: `${label}: found ${occurrences} occurrences of oldString. Add more context or set replaceAll to true.` };
+      }
+
+      current = edit.replaceAll
+        ? current.split(edit.oldString).join(edit.newString)
+        : current.replace(edit.oldString, () => edit.newString);
+    }
+
+    return { content: current };
   }
 
-  formatSystemMessage(text) {
-    return `${Colors.SYSTEM_MSG}[${text}]${Colors.RESET}`;
+  // The lines of content closest to searchText, to help the model fix a failed match
+  describeClosestMatch(content, searchText) {
+    const fileLines = content.replace(/\r\n/g, '\n').split('\n');
+    const searchLines = searchText.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+    return this.formatClosestMatch(fileLines, searchLines);
   }
 
-  // XML unescaping helper to convert XML entities back to their original characters
-  unescapeXml(text) {
-    if (typeof text !== 'string') {
-      return text;
+  formatClosestMatch(fileLines, searchLines, indent = '') {
+    const match = findClosestRegion(fileLines, searchLines);
+    if (!match || match.score < 0.5) {
+      return '';
     }
 
-    const original = text;
-    const unescaped = text
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .replace(/&apos;/g, "'")
-      .replace(/&#39;/g, "'")      // Alternative single quote encoding
-      .replace(/&amp;/g, '&');     // Must be last to avoid double-unescaping
+    const region = fileLines.slice(match.start, match.start + searchLines.length);
+    const range = region.length === 1 ? `line ${match.start + 1}` : `lines ${match.start + 1}-${match.start + region.length}`;
+    const numbered = region.map((line, offset) => `${indent}${String(match.start + offset + 1).padStart(5)} | ${line}`);
+    return `\n${indent}Closest match (${range}, ${Math.round(match.score * 100)}% similar):\n${numbered.join('\n')}`;
+  }
 
-    // Debug logging when unescaping actually occurs
-    if (original !== unescaped) {
-      console.log(this.formatSystemMessage('XML: Unescaped parameter content'));
+  // Files an apply_patch call would write, for the permission check
+  patchTargets(patch) {
+    try {
+      return parseUnifiedDiff(patch).map(file => file.newPath || file.oldPath).filter(Boolean);
+    } catch (error) {
+      return [];
     }
-
-    return unescaped;
   }
 
-  // Validate XML escaping in content - helps debug common issues
-  validateXmlContent(content, parameterName) {
-    if (typeof content !== 'string') return true;
+  applyPatch(patch) {
+    const plan = this.planPatch(patch);
+    if (plan.error) {
+      return `Error: ${plan.error}`;
+    }
+    if (plan.failed) {
+      return `Error: Patch not applied, no files were changed.\n\n${plan.report.join('\n')}`;
+    }
 
-    // Check for unescaped XML characters that could break parsing
-    const unescapedChars = [];
-    if (content.includes('<') && !content.includes('&lt;')) {
-      unescapedChars.push('<');
+    // Every file's new content is known before the first write; if a write still fails,
+    // the files written so far are put back so the patch applies completely or not at all
+    const summaries = [];
+    const written = [];
+    try {
+      for (const file of plan.files) {
+        this.snapshotFile(file.path);
+      }
+      for (const file of plan.files) {
+        written.push(file);
+        if (file.after === null) {
+          this.deleteWorkspaceFile(file.path);
+          continue;
+        }
+        fs.mkdirSync(path.dirname(file.path), { recursive: true });
+        this.writeWorkspaceFile(file.path, file.after);
+      }
+    } catch (error) {
+      const rollback = this.restorePatchFiles(written);
+      return `Error applying patch: ${error.message}\n${rollback.length > 0 ? rollback.join('\n') : 'No files were changed.'}\n\n${plan.report.join('\n')}`;
     }
-    if (content.includes('>') && !content.includes('&gt;')) {
-      unescapedChars.push('>');
+
+    for (const file of plan.files) {
+      if (file.after === null) {
+        console.log(this.formatDiff(file.path, file.before, ''));
+      } else {
+        summaries.push(`${file.name}:\n${this.reportEdit(file.path, file.before || '', file.after)}`);
+      }
     }
-    if (content.includes('&') && !content.match(/&(?:lt|gt|amp|quot|apos|#39);/)) {
-      unescapedChars.push('&');
+
+    return `Patch applied to ${plan.files.length} file${plan.files.length === 1 ? '' : 's'}.\n${plan.report.join('\n')}\n\n${summaries.join('\n\n')}`.trim();
+  }
+
+  // Undo the writes of a failed patch; lists only the files that could not be restored
+  restorePatchFiles(files) {
+    const errors = [];
+    for (const file of files) {
+      try {
+        if (file.before === null) {
+          if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+          }
+        } else {
+          fs.writeFileSync(file.path, file.before, 'utf8');
+        }
+      } catch (error) {
+        errors.push(`Could not restore ${file.name}: ${error.message}`);
+      }
     }
+    return errors;
+  }
 
-    if (unescapedChars.length > 0) {
-      const warning1 = this.formatSystemMessage(`XML Warning: Parameter "${parameterName}" may contain unescaped characters: ${unescapedChars.join(', ')}`);
-      const warning2 = this.formatSystemMessage('XML Warning: Consider escaping them as: < → &lt;, > → &gt;, & → &amp;');
-      console.warn(warning1);
-      console.warn(warning2);
-      return false;
+  /**
+   * Work out the result of a patch without writing anything:
+   * { files: [{ name, path, before, after }], report, failed } or { error }.
+   * before/after are null for created/deleted files. Each hunk is matched
+   * exactly near its line number first, then anywhere after the previous
+   * hunk, then ignoring whitespace; context lines keep the file's own text.
+   */
+  planPatch(patch) {
+    let patchFiles;
+    try {
+      patchFiles = parseUnifiedDiff(patch);
+    } catch (error) {
+      return { error: `Could not parse patch: ${error.message}` };
     }
 
-    return true;
+    const files = [];
+    const report = [];
+    let failed = false;
+
+    for (const patchFile of patchFiles) {
+      const name = patchFile.newPath || patchFile.oldPath;
+      const resolved = name ? this.resolveWorkspacePath(name) : { error: 'Error: patch file header has no path' };
+      if (resolved.error) {
+        report.push(`${name}: ${resolved.error}`);
+        failed = true;
+        continue;
+      }
+
+      const exists = fs.existsSync(resolved.path);
+      if (!patchFile.oldPath) {
+        if (exists) {
+          report.push(`${name}: FAILED - file already exists (patch creates it from /dev/null)`);
+          failed = true;
+          continue;
+        }
+        const added = patchFile.hunks.flatMap(hunk => hunk.lines.filter(line => line.type !== '-').map(line => line.text));
+        const noNewline = patchFile.hunks.some(hunk => hunk.newNoNewline);
+        files.push({ name, path: resolved.path, before: null, after: added.join('\n') + (noNewline || added.length === 0 ? '' : '\n') });
+        report.push(`${name}: created`);
+        continue;
+      }
+
+      if (!exists) {
+        report.push(`${name}: FAILED - file does not exist`);
+        failed = true;
+        continue;
+      }
+
+      const before = fs.readFileSync(resolved.path, 'utf8');
+      if (!patchFile.newPath) {
+        // The removed lines must be the file's current contents, like any other hunk
+        const result = patchFile.hunks.length > 0 ? this.applyHunks(before, patchFile.hunks) : { content: before, report: [] };
+        if (result.failed || result.content.trim() !== '') {
+          report.push(`${name}: FAILED - the removed lines do not match the file's current contents`,
+            ...result.report.filter(line => line.includes('FAILED')).map(line => `  ${line}`));
+          failed = true;
+          continue;
+        }
+        files.push({ name, path: resolved.path, before, after: null });
+        report.push(`${name}: deleted`);
+        continue;
+      }
+
+      const result = this.applyHunks(before, patchFile.hunks);
+      report.push(`${name}:`, ...result.report.map(line => `  ${line}`));
+      if (result.failed) {
+        failed = true;
+      } else {
+        files.push({ name, path: resolved.path, before, after: result.content });
+      }
+    }
+
+    return { files, report, failed };
   }
 
-  // XML parsing helper to extract function calls
-  extractFunctionCalls(text) {
-    const functionCallRegex = /<function_calls>([\s\S]*?)<\/function_calls>/g;
-    const calls = [];
-    let match;
+  applyHunks(content, hunks) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const hadFinalNewline = content.endsWith('\n');
+    const lines = content.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+    const normalize = (line) => line.trim().replace(/\s+/g, ' ');
+    const report = [];
+    let failed = false;
+    let offset = 0;    // How far earlier hunks moved the line numbers
+    let minStart = 0;  // Hunks apply in order and must not overlap
+
+    hunks.forEach((hunk, index) => {
+      const label = `Hunk ${index + 1} (${hunk.header})`;
+      const oldLines = hunk.lines.filter(line => line.type !== '+').map(line => line.text);
+      // A hunk that removes nothing inserts after line oldStart; otherwise it starts at line oldStart
+      const anchor = (oldLines.length === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset;
+      const expected = Math.max(anchor, minStart);
+
+      const matchesAt = (start, equal) => start >= minStart && start + oldLines.length <= lines.length &&
+        oldLines.every((text, j) => equal(lines[start + j], text));
+      const search = (equal) => {
+        if (matchesAt(expected, equal)) return expected;
+        // Closest position to the expected one, looking both ways (the header line number may be past the end)
+        for (let distance = 1; distance <= Math.max(expected, lines.length); distance++) {
+          if (matchesAt(expected - distance, equal)) return expected - distance;
+          if (matchesAt(expected + distance, equal)) return expected + distance;
+        }
+        return -1;
+      };
 
-    while ((match = functionCallRegex.exec(text)) !== null) {
-      const xmlContent = match[1];
-      try {
-        const parser = new xml2js.Parser({ explicitArray: false });
-        parser.parseString(`<root>${xmlContent}</root>`, (err, result) => {
-          if (!err && result.root.invoke) {
-            const invokes = Array.isArray(result.root.invoke) ? result.root.invoke : [result.root.invoke];
-            for (const invoke of invokes) {
-              if (invoke.$ && invoke.$.name && invoke.parameter) {
-                const params = {};
-                const parameters = Array.isArray(invoke.parameter) ? invoke.parameter : [invoke.parameter];
-                for (const param of parameters) {
-                  if (param.$ && param.$.name) {
-                    const paramName = param.$.name;
-                    const rawContent = param._ || '';
+      let start;
+      let fuzzy = false;
+      if (oldLines.length === 0) {
+        start = Math.min(expected, lines.length); // Pure insertion: trust the line number
+      } else {
+        start = search((a, b) => a === b);
+        if (start === -1) {
+          start = search((a, b) => normalize(a) === normalize(b));
+          fuzzy = start !== -1;
+        }
+      }
 
-                    // Validate XML content before unescaping (helps catch issues)
-                    this.validateXmlContent(rawContent, paramName);
+      if (start === -1) {
+        failed = true;
+        report.push(`${label}: FAILED - context and removed lines not found in the file${this.formatClosestMatch(lines, oldLines, '  ')}`);
+        return;
+      }
 
-                    // CRITICAL: Unescape XML entities in parameter content
-                    params[paramName] = this.unescapeXml(rawContent);
-                  }
-                }
-                calls.push({
-                  name: invoke.$.name,
-                  parameters: params
-                });
-              }
-            }
+      // Context lines keep the file's own text, so a whitespace-tolerant match doesn't rewrite them
+      const replacement = [];
+      let cursor = start;
+      for (const line of hunk.lines) {
+        if (line.type === ' ') {
+          replacement.push(lines[cursor++]);
+        } else if (line.type === '-') {
+          cursor++;
+        } else {
+          replacement.push(line.text);
+        }
+      }
+      lines.splice(start, oldLines.length, ...replacement);
+
+      const shift = start - anchor;
+      const notes = [];
+      if (shift !== 0 && oldLines.length > 0) notes.push(`at line ${start + 1}, offset ${shift > 0 ? '+' : ''}${shift}`);
+      if (fuzzy) notes.push('ignoring whitespace differences');
+      report.push(`${label}: applied${notes.length ? ` (${notes.join(', ')})` : ''}`);
+
+      offset += replacement.length - oldLines.length + shift;
+      minStart = start + replacement.length;
+    });
+
+    // Only a marker in the last hunk can change whether the file ends with a newline
+    const lastHunk = hunks[hunks.length - 1] || {};
+    const finalNewline = lastHunk.newNoNewline ? false : (lastHunk.oldNoNewline || hadFinalNewline);
+    const text = lines.join(eol) + (finalNewline ? eol : '');
+    return { content: text, report, failed };
+  }
+
+  /**
+   * CHECKPOINTS
+   *
+   * Every write made through the file tools goes through writeWorkspaceFile(),
+   * which snapshots the file's previous contents (or notes that it did not
+   * exist) the first time it is touched in a user turn. Snapshots live in
+   * memory, one checkpoint per turn, so this works without git:
+   *
+   * - /undo restores the files changed in the most recent turn with edits
+   * - /rewind restores files and conversation to the start of a chosen turn
+   * - /changes lists every file the agent has modified this session
+   */
+  beginCheckpoint(userMessage) {
+    this.checkpoints.push({
+      message: userMessage, // Located by identity, so compaction can't confuse the position
+      prompt: userMessage.content.split('\n')[0].slice(0, 80),
+      createdAt: new Date(),
+      files: new Map() // Absolute path -> contents before the turn (null when the file was new)
+    });
+  }
+
+  writeWorkspaceFile(filePath, content) {
+    this.snapshotFile(filePath);
+    fs.writeFileSync(filePath, content, 'utf8');
+  }
+
+  deleteWorkspaceFile(filePath) {
+    this.snapshotFile(filePath);
+    fs.unlinkSync(filePath);
+  }
+
+  snapshotFile(filePath) {
+    if (this.checkpoints.length === 0) {
+      this.beginCheckpoint({ role: 'user', content: '(before the first message)' });
+    }
+
+    const checkpoint = this.checkpoints[this.checkpoints.length - 1];
+    if (!checkpoint.files.has(filePath)) {
+      checkpoint.files.set(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath) : null);
+    }
+  }
+
+  // Put the files of one checkpoint back the way they were before its turn
+  restoreCheckpointFiles(checkpoint) {
+    const restored = [];
+    for (const [filePath, before] of checkpoint.files) {
+      try {
+        if (before === null) {
+          if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
           }
-        });
-      } catch (e) {
-        console.error('Error parsing XML:', e.message);
-        console.error('XML content that failed to parse:', xmlContent.substring(0, 200) + '...');
+        } else {
+          fs.mkdirSync(path.dirname(filePath), { recursive: true });
+          fs.writeFileSync(filePath, before);
+        }
+        restored.push(`${before === null ? 'removed' : 'restored'} ${this.displayPath(filePath)}`);
+      } catch (error) {
+        restored.push(`Error restoring ${this.displayPath(filePath)}: ${error.message}`);
       }
     }
+    return restored;
+  }
 
-    return calls;
+  displayPath(filePath) {
+    const relative = path.relative(this.workspace.root, filePath);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative;
   }
 
-  // Execute terminal command
-  async runInTerminal(command, explanation, isBackground = false) {
-    const formattedMsg = this.formatSystemMessage(`Executing: ${explanation}`);
-    console.log(`\n${formattedMsg}`);
-    const formattedCmd = this.formatSystemMessage(`Command: ${command}`);
-    console.log(`${formattedCmd}\n`);
+  undoLastTurn() {
+    const checkpoint = [...this.checkpoints].reverse().find(turn => turn.files.size > 0);
+    if (!checkpoint) {
+      console.log(this.formatSystemMessage('No file changes to undo'));
+      return;
+    }
 
-    return new Promise((resolve) => {
-      // Determine shell based on OS
-      const isWindows = process.platform === 'win32';
-      const shell = isWindows ? 'cmd.exe' : '/bin/bash';
-      const shellArgs = isWindows ? ['/c', command] : ['-l', '-c', command];
+    const restored = this.restoreCheckpointFiles(checkpoint);
+    const files = [...checkpoint.files.keys()].map(filePath => this.displayPath(filePath));
+    checkpoint.files.clear();
+    console.log(this.formatSystemMessage(`Undid the changes from "${checkpoint.prompt}":`));
+    restored.forEach(line => console.log(`  ${line}`));
+
+    // Tell the model, so it does not assume its edits are still there
+    this.conversationHistory.push({
+      role: 'user',
+      content: `[The user reverted your file changes from an earlier turn: ${files.join(', ')}]`
+    });
+    this.saveSession();
+  }
+
+  // Restore files and conversation to the start of a turn picked from a list
+  async rewind() {
+    const turns = this.checkpoints.filter(turn => turn.message.role === 'user' && this.conversationHistory.includes(turn.message));
+    if (turns.length === 0) {
+      console.log(this.formatSystemMessage('Nothing to rewind to'));
+      return;
+    }
+
+    const items = turns.map(turn => {
+      const time = turn.createdAt.toLocaleTimeString();
+      const files = turn.files.size ? ` ${Colors.DIM}(${turn.files.size} file${turn.files.size === 1 ? '' : 's'} changed)${Colors.RESET}` : '';
+      return `${time}  ${turn.prompt}${files}`;
+    });
+    const index = await this.pickFromList('Rewind to before', items);
+    if (index === null) {
+      console.log(this.formatSystemMessage('Rewind cancelled'));
+      return;
+    }
+
+    // Undo the chosen turn and every later one, newest first, so the oldest snapshot wins
+    const target = turns[index];
+    const position = this.checkpoints.indexOf(target);
+    const restored = [];
+    for (const checkpoint of this.checkpoints.slice(position).reverse()) {
+      restored.push(...this.restoreCheckpointFiles(checkpoint));
+    }
+    this.checkpoints = this.checkpoints.slice(0, position);
+
+    this.conversationHistory = this.conversationHistory.slice(0, this.conversationHistory.indexOf(target.message));
+    this.saveSession();
+
+    console.log(this.formatSystemMessage(`Rewound to before "${target.prompt}"`));
+    restored.forEach(line => console.log(`  ${line}`));
+  }
+
+  showChanges() {
+    // Earliest snapshot of each file is its state before the agent touched it
+    const original = new Map();
+    for (const checkpoint of this.checkpoints) {
+      for (const [filePath, before] of checkpoint.files) {
+        if (!original.has(filePath)) {
+          original.set(filePath, { before, turns: 0 });
+        }
+        original.get(filePath).turns++;
+      }
+    }
+
+    if (original.size === 0) {
+      console.log(this.formatSystemMessage('No files changed this session'));
+      return;
+    }
+
+    for (const [filePath, { before, turns }] of original) {
+      const exists = fs.existsSync(filePath);
+      const ops = diffLines(before === null ? '' : before.toString('utf8'), exists ? fs.readFileSync(filePath, 'utf8') : '');
+      const stats = `${Colors.GREEN}+${ops.filter(op => op.type === '+').length}${Colors.RESET} ${Colors.RED}-${ops.filter(op => op.type === '-').length}${Colors.RESET}`;
+      let status;
+      if (before === null) {
+        status = exists ? `${Colors.GREEN}created ${Colors.RESET}` : `${Colors.DIM}removed ${Colors.RESET}`;
+      } else {
+        status = exists ? `${Colors.YELLOW}modified${Colors.RESET}` : `${Colors.RED}deleted ${Colors.RESET}`;
+      }
+      console.log(`  ${status}  ${this.displayPath(filePath)} ${stats} ${Colors.DIM}(${turns} turn${turns === 1 ? '' : 's'})${Colors.RESET}`);
+    }
+  }
+
+  // Process function calls from LLM response
+  async processFunctionCalls(responseText) {
+    const functionCalls = this.extractFunctionCalls(responseText);
+    let results = '';
+
+    for (const call of functionCalls) {
+      if (this.cancelRequested) {
+        results += `\n<function_results>\nSkipped: interrupted by user\n</function_results>\n`;
+        continue;
+      }
+      this.emitEvent({ type: 'tool_call', name: call.name, parameters: call.parameters });
+      const result = await this.tools.dispatch(call);
+      this.emitEvent({ type: 'tool_result', name: call.name, result });
+      results += `\n<function_results>\n${result}\n</function_results>\n`;
+    }
+
+    return results;
+  }
+
+  // Process streaming content with special formatting for different types
+  processStreamContent(content) {
+    // Track state for special content blocks
+    if (!this.streamState) {
+      this.streamState = {
+        isInThinkingTag: false,
+        thinkingContent: '',
+        isInFunctionCall: false,
+        functionCallContent: '',
+        regularContent: ''
+      };
+    }
 
-      const childProcess = spawn(shell, shellArgs, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: false
-      });
+    // Add content to our buffer
+    this.streamState.regularContent += content;
 
-      let stdout = '';
-      let stderr = '';
+    // Check for thinking tags
+    if (!this.streamState.isInThinkingTag && this.streamState.regularContent.includes('<think>')) {
+      // Extract content before thinking tag
+      const parts = this.streamState.regularContent.split('<think>');
+      const beforeThink = parts[0];
+      if (beforeThink) {
+        this.writeResponse(beforeThink);
+      }
+      this.endResponse();
 
-      // Collect output
-      childProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        stdout += output;
-        if (!isBackground) {
-          // process.stdout.write(output);
-        }
-      });
+      // Start thinking mode - output any content immediately after <think>
+      this.streamState.isInThinkingTag = true;
+      const afterThink = parts.slice(1).join('<think>');
+      this.streamState.regularContent = '';
 
-      childProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        stderr += output;
-        if (!isBackground) {
-          // process.stderr.write(output);
-        }
-      });
+      // Process content after the <think> tag immediately
+      if (afterThink) {
+        this.processStreamContent(afterThink);
+      }
 
-      if (isBackground) {
-        // Store background process
-        const processId = this.nextProcessId++;
-        this.backgroundProcesses.set(processId, {
-          process: childProcess,
-          stdout: '',
-          stderr: '',
-          command: command,
-          explanation: explanation,
-          startTime: new Date(),
-          isRunning: true
-        });
+      // Debug log
+      console.log(this.formatSystemMessage('DEBUG: Started thinking mode'));
+      return;
+    }
 
-        // Continue collecting output for background process
-        childProcess.stdout.on('data', (data) => {
-          const process = this.backgroundProcesses.get(processId);
-          if (process) {
-            process.stdout += data.toString();
-          }
-        });
+    if (this.streamState.isInThinkingTag) {
+      // Check if this content contains the closing tag
+      if (content.includes('</think>')) {
+        // Split on closing tag
+        const parts = content.split('</think>');
+        const thinkingPart = parts[0];
+        const afterThinking = parts.slice(1).join('</think>');
 
-        childProcess.stderr.on('data', (data) => {
-          const process = this.backgroundProcesses.get(processId);
-          if (process) {
-            process.stderr += data.toString();
-          }
-        });
+        // Output thinking content immediately with inline formatting
+        if (thinkingPart) {
+          this.writeThinking(thinkingPart);
+        }
 
-        childProcess.on('close', (code) => {
-          const process = this.backgroundProcesses.get(processId);
-          if (process) {
-            process.isRunning = false;
-            process.exitCode = code;
-            process.endTime = new Date();
-          }
-        });
+        // End thinking mode - add newline and reset colors to separate from next content
+        this.streamState.isInThinkingTag = false;
+        this.endThinking();
 
-        resolve(`Terminal started with ID: ${processId}`);
+        // Process content after thinking tag
+        if (afterThinking) {
+          this.streamState.regularContent = afterThinking;
+          const remaining = this.streamState.regularContent;
+          this.streamState.regularContent = '';
+          this.processStreamContent(remaining);
+        }
       } else {
-        // Wait for immediate process to complete
-        childProcess.on('close', (code) => {
-          const combinedOutput = stdout + (stderr ? `\nSTDERR:\n${stderr}` : '');
-          const result = combinedOutput || `Process completed with exit code: ${code}`;
-          resolve(result);
-        });
+        // Still in thinking mode, output content immediately with thinking color
+        this.writeThinking(content);
+      }
+      return;
+    }
 
-        childProcess.on('error', (error) => {
-          resolve(`Error executing command: ${error.message}`);
-        });
+    // Check for function calls
+    let startedFunctionCall = false;
+    if (!this.streamState.isInFunctionCall && this.streamState.regularContent.includes('<function_calls>')) {
+      startedFunctionCall = true;
+      // Extract content before function call
+      const parts = this.streamState.regularContent.split('<function_calls>');
+      const beforeFunction = parts[0];
+      if (beforeFunction) {
+        this.writeResponse(beforeFunction);
       }
-    });
-  }
+      this.endResponse();
 
-  // Get output from background process
-  getTerminalOutput(processId) {
-    const process = this.backgroundProcesses.get(parseInt(processId));
-    if (!process) {
-      return `No process found with ID: ${processId}`;
+      // Start function call mode
+      this.streamState.isInFunctionCall = true;
+      this.streamState.functionCallContent = '<function_calls>' + parts.slice(1).join('<function_calls>');
+      this.streamState.regularContent = '';
+
+      // Debug log
+      console.log(this.formatSystemMessage('DEBUG: Started function call mode'));
     }
 
-    const output = process.stdout + (process.stderr ? `\nSTDERR:\n${process.stderr}` : '');
-    const status = process.isRunning ? 'Running' : `Completed (exit code: ${process.exitCode})`;
+    if (this.streamState.isInFunctionCall) {
+      // Add new content to function call buffer (a chunk that opened the call is already in it)
+      if (!startedFunctionCall) {
+        this.streamState.functionCallContent += content;
+      }
 
-    return `Process ${processId} [${status}]:\nCommand: ${process.command}\n\nOutput:\n${output || '(no output yet)'}`;
-  }
+      if (this.streamState.functionCallContent.includes('</function_calls>')) {
+        // End of function call
+        const parts = this.streamState.functionCallContent.split('</function_calls>');
+        const functionCallText = parts[0] + '</function_calls>';
 
-  // File System Operations
+        // Display function call with special formatting
+        this.writeToStdout(this.formatFunctionCallXml(functionCallText));
 
-  // List directory contents
-  listDir(dirPath) {
-    try {
-      if (!fs.existsSync(dirPath)) {
-        return `Error: Directory "${dirPath}" does not exist.`;
-      }
+        // Continue with content after function call
+        this.streamState.isInFunctionCall = false;
+        this.streamState.functionCallContent = '';
+        this.streamState.regularContent = parts.slice(1).join('</function_calls>');
 
-      const stats = fs.statSync(dirPath);
-      if (!stats.isDirectory()) {
-        return `Error: "${dirPath}" is not a directory.`;
+        // Process any remaining content recursively
+        if (this.streamState.regularContent) {
+          const remaining = this.streamState.regularContent;
+          this.streamState.regularContent = '';
+          this.processStreamContent(remaining);
+        }
       }
+      return; // Don't output function call content directly
+    }
 
-      const items = fs.readdirSync(dirPath);
-      const result = items.map(item => {
-        const itemPath = path.join(dirPath, item);
-        const itemStats = fs.statSync(itemPath);
-        return itemStats.isDirectory() ? `${item}/` : item;
-      });
+    // Regular LLM response content
+    if (this.streamState.regularContent && !this.streamState.isInThinkingTag && !this.streamState.isInFunctionCall) {
+      if (!this.streamState.regularContent.includes('<function_calls>') && !this.streamState.regularContent.includes('</function_calls>')) {
+        this.writeResponse(this.streamState.regularContent);
+      }
+      this.streamState.regularContent = '';
+    }
+  }
 
-      return result.length > 0 ? result.join('\n') : '(empty directory)';
-    } catch (error) {
-      return `Error listing directory: ${error.message}`;
+  // Output whatever the stream parser is still holding when the response ends
+  flushStreamState() {
+    this.endThinking();
+    if (this.streamState) {
+      if (this.streamState.isInFunctionCall && this.streamState.functionCallContent) {
+        this.writeToStdout(this.formatFunctionCallXml(this.streamState.functionCallContent));
+      }
+      if (this.streamState.regularContent) {
+        this.writeResponse(this.streamState.regularContent);
+      }
     }
+    this.endResponse();
+    this.streamState = null;
   }
 
-  // Search for files by glob pattern
-  fileSearch(pattern, maxResults = 50) {
-    try {
-      // Use glob to find files matching the pattern
-      const files = glob.sync(pattern, {
-        cwd: process.cwd(),
-        ignore: ['node_modules/**', '.git/**', '**/*.log'],
-        nodir: false
-      });
+  buildHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
 
-      if (files.length === 0) {
-        return `No files found matching pattern: ${pattern}`;
-      }
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
 
-      const limitedFiles = maxResults ? files.slice(0, maxResults) : files;
-      let result = limitedFiles.join('\n');
+    return headers;
+  }
 
-      if (files.length > limitedFiles.length) {
-        result += `\n... and ${files.length - limitedFiles.length} more files (showing first ${maxResults})`;
-      }
+  // Request body and endpoint for the active tool mode
+  buildChatRequest() {
+    const body = {
+      model: this.model,
+      messages: this.toolMode === 'ollama' ? this.toOllamaMessages(this.conversationHistory) : this.toOpenAIMessages(this.conversationHistory), // Send entire conversation history
+      stream: true
+    };
 
-      return result;
-    } catch (error) {
-      return `Error searching files: ${error.message}`;
+    if (this.toolMode !== 'xml') {
+      body.tools = this.tools.toFunctionDefinitions();
     }
-  }
 
-  // Search for text within files (grep)
-  grepSearch(query, isRegexp = false, includePattern = '**/*', maxResults = 50) {
-    try {
-      const files = glob.sync(includePattern, {
-        cwd: process.cwd(),
-        ignore: ['node_modules/**', '.git/**', '**/*.log', '**/.*'],
-        nodir: true
-      });
+    // Ollama's native API can raise the context window; otherwise the server default applies
+    const numCtx = this.setting('numCtx');
+    const temperature = this.setting('temperature');
+    if (this.toolMode === 'ollama') {
+      const options = {};
+      if (numCtx) {
+        options.num_ctx = numCtx;
+      }
+      if (temperature !== undefined) {
+        options.temperature = temperature;
+      }
+      if (Object.keys(options).length > 0) {
+        body.options = options;
+      }
+    } else if (temperature !== undefined) {
+      body.temperature = temperature;
+    }
 
-      const results = [];
-      const searchRegex = isRegexp ? new RegExp(query, 'i') : new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const url = this.toolMode === 'ollama'
+      ? `${this.baseUrl.replace(/\/v1$/, '')}/api/chat`
+      : `${this.baseUrl}/chat/completions`;
 
-      for (const file of files) {
-        try {
-          const content = fs.readFileSync(file, 'utf8');
-          const lines = content.split('\n');
+    return { url, body };
+  }
 
-          lines.forEach((line, index) => {
-            if (searchRegex.test(line)) {
-              results.push(`${file}:${index + 1}:${line.trim()}`);
+  // History keeps tool calls in OpenAI format; Ollama's native API wants argument objects and tool names
+  toOllamaMessages(messages) {
+    return messages.map(message => {
+      if (message.role === 'assistant' && message.tool_calls) {
+        return {
+          role: 'assistant',
+          content: message.content || '',
+          tool_calls: message.tool_calls.map(toolCall => ({
+            function: {
+              name: toolCall.function.name,
+              arguments: this.parseToolArguments(toolCall.function.arguments)
             }
-          });
-
-          if (results.length >= maxResults) break;
-        } catch (err) {
-          // Skip files that can't be read (binary files, permission issues, etc.)
-          continue;
-        }
+          }))
+        };
       }
-
-      if (results.length === 0) {
-        return `No matches found for: ${query}`;
+      if (message.role === 'tool') {
+        return { role: 'tool', content: message.content, tool_name: message.name };
       }
+      if (message.images) {
+        return { role: message.role, content: message.content, images: message.images.map(image => image.data) };
+      }
+      return message;
+    });
+  }
 
-      const limitedResults = results.slice(0, maxResults);
-      let result = limitedResults.join('\n');
-
-      if (results.length > limitedResults.length) {
-        result += `\n... and ${results.length - limitedResults.length} more matches (showing first ${maxResults})`;
+  // Images become content parts with data URLs on the OpenAI-compatible API
+  toOpenAIMessages(messages) {
+    return messages.map(message => {
+      if (!message.images) {
+        return message;
       }
+      return {
+        role: message.role,
+        content: [
+          { type: 'text', text: message.content },
+          ...message.images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+        ]
+      };
+    });
+  }
 
-      return result;
+  parseToolArguments(args) {
+    if (args && typeof args === 'object') {
+      return args;
+    }
+    try {
+      return JSON.parse(args || '{}');
     } catch (error) {
-      return `Error searching text: ${error.message}`;
+      return {};
     }
   }
 
-  // Read file contents
-  readFile(filePath, offset = null, limit = null) {
-    try {
-      if (!fs.existsSync(filePath)) {
-        return `Error: File "${filePath}" does not exist.`;
-      }
+  /**
+   * Stream one chat completion, rendering content as it arrives.
+   * Resolves with the full text and any native tool calls (OpenAI format),
+   * or with interrupted: true and the partial text when the request is aborted.
+   * Handles both OpenAI-style SSE ("data: {...}") and Ollama's NDJSON stream.
+   */
+  async streamChatCompletion() {
+    const { url, body } = this.buildChatRequest();
+    this.abortController = new AbortController();
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify(body),
+      signal: this.abortController.signal
+    });
 
-      const stats = fs.statSync(filePath);
-      if (stats.isDirectory()) {
-        return `Error: "${filePath}" is a directory, not a file.`;
-      }
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
 
-      const content = fs.readFileSync(filePath, 'utf8');
+    return new Promise((resolve, reject) => {
+      const reader = response.body;
+      let buffer = '';
+      let content = ''; // Collect the assistant's response
+      let isThinking = false;
+      const toolCalls = [];
 
-      if (offset !== null || limit !== null) {
-        const lines = content.split('\n');
-        const startLine = offset ? Math.max(0, offset - 1) : 0;
-        const endLine = limit ? Math.min(lines.length, startLine + limit) : lines.length;
-        const selectedLines = lines.slice(startLine, endLine);
+      const handleLine = (line) => {
+        if (line.trim() === '') return;
 
-        return selectedLines.join('\n');
-      }
+        const data = line.startsWith('data: ') ? line.slice(6) : line;
+        if (data === '[DONE]') return;
 
-      return content;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return `Error: File "${filePath}" not found.`;
-      } else if (error.code === 'EACCES') {
-        return `Error: Permission denied reading "${filePath}".`;
-      } else {
-        return `Error reading file: ${error.message}`;
-      }
-    }
-  }
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (e) {
+          // Ignore JSON parse errors for partial chunks
+          return;
+        }
 
-  // Create new file
-  createFile(filePath, content) {
-    try {
-      // Create directory if it doesn't exist
-      const dir = path.dirname(filePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
+        // OpenAI-compatible chunks carry a delta, Ollama's native chunks carry a message
+        const delta = parsed.choices?.[0]?.delta || parsed.message || {};
+        const thinking = delta.reasoning_content || delta.reasoning || delta.thinking;
 
-      // Check if file already exists
-      if (fs.existsSync(filePath)) {
-        return `Error: File "${filePath}" already exists. Use replace_string_in_file to edit existing files.`;
-      }
+        if (thinking) {
+          this.emitEvent({ type: 'thinking', content: thinking });
+          isThinking = true;
+          this.endResponse();
+          this.writeThinking(thinking);
+        }
 
-      // Ensure content is properly unescaped (in case it wasn't handled in XML parsing)
-      const finalContent = typeof content === 'string' ? content : '';
+        if (delta.content) {
+          this.emitEvent({ type: 'text', content: delta.content });
+          // Separate reasoning sent in its own field from the answer that follows it
+          if (isThinking) {
+            isThinking = false;
+            this.endThinking();
+          }
+          content += delta.content;
+          // Handle different types of content with special formatting
+          this.processStreamContent(delta.content);
+        }
 
-      fs.writeFileSync(filePath, finalContent, 'utf8');
-      return `File created successfully: ${filePath}`;
-    } catch (error) {
-      return `Error creating file: ${error.message}`;
-    }
-  }
+        for (const [position, toolCall] of (delta.tool_calls || []).entries()) {
+          if (parsed.message) {
+            // Ollama sends each call complete, with arguments as an object
+            toolCalls.push({
+              id: `call_${toolCalls.length + 1}`,
+              type: 'function',
+              function: {
+                name: toolCall.function.name,
+                arguments: JSON.stringify(toolCall.function.arguments || {})
+              }
+            });
+            continue;
+          }
 
-  // Replace string in existing file
-  replaceStringInFile(filePath, oldString, newString) {
-    try {
-      if (!fs.existsSync(filePath)) {
-        return `Error: File "${filePath}" does not exist.`;
-      }
+          // OpenAI-compatible streams send the arguments in fragments, keyed by index
+          const index = toolCall.index ?? position;
+          if (!toolCalls[index]) {
+            toolCalls[index] = {
+              id: toolCall.id || `call_${index + 1}`,
+              type: 'function',
+              function: { name: '', arguments: '' }
+            };
+          }
+          if (toolCall.function?.name) {
+            toolCalls[index].function.name += toolCall.function.name;
+          }
+          if (toolCall.function?.arguments) {
+            toolCalls[index].function.arguments += typeof toolCall.function.arguments === 'string'
+              ? toolCall.function.arguments
+              : JSON.stringify(toolCall.function.arguments);
+          }
+        }
+      };
 
-      const content = fs.readFileSync(filePath, 'utf8');
+      reader.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep incomplete line in buffer
+        lines.forEach(handleLine);
+      });
 
-      // Ensure strings are properly unescaped (in case they weren't handled in XML parsing)
-      const finalOldString = typeof oldString === 'string' ? oldString : '';
-      const finalNewString = typeof newString === 'string' ? newString : '';
+      reader.on('end', () => {
+        handleLine(buffer);
+        resolve({ content, toolCalls: toolCalls.filter(Boolean) });
+      });
 
-      // Check if the old string exists in the file
-      if (!content.includes(finalOldString)) {
-        return `Error: The specified text was not found in the file. Make sure the oldString matches exactly, including whitespace and line breaks.`;
-      }
+      reader.on('error', (error) => {
+        // Cancelled mid-stream: keep what has arrived so far
+        if (error.name === 'AbortError') {
+          resolve({ content, toolCalls: [], interrupted: true });
+        } else {
+          reject(error);
+        }
+      });
+    });
+  }
 
-      // Count occurrences to warn about multiple matches
-      const occurrences = (content.match(new RegExp(finalOldString.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')) || []).length;
-      if (occurrences > 1) {
-        return `Error: Found ${occurrences} occurrences of the text. Please provide more specific context to ensure unique replacement.`;
+  // Run native tool calls and add their results to the history as role "tool" messages
+  async processNativeToolCalls(toolCalls) {
+    for (const toolCall of toolCalls) {
+      const name = toolCall.function.name;
+      const parameters = this.parseToolArguments(toolCall.function.arguments);
+
+      // Every call needs a result message, even the ones skipped after a cancel
+      if (this.cancelRequested) {
+        this.conversationHistory.push({ role: 'tool', tool_call_id: toolCall.id, name, content: 'Skipped: interrupted by user' });
+        continue;
       }
 
-      const newContent = content.replace(finalOldString, finalNewString);
-      fs.writeFileSync(filePath, newContent, 'utf8');
+      this.writeToStdout(this.formatToolCall(name, parameters));
+
+      this.emitEvent({ type: 'tool_call', name, parameters });
+      const result = await this.tools.dispatch({ name, parameters }, { native: true });
+      this.emitEvent({ type: 'tool_result', name, result });
+      this.writeFunctionResult(result);
+
+      this.conversationHistory.push({
+        role: 'tool',
+        tool_call_id: toolCall.id,
+        name,
+        content: result
+      });
+    }
+  }
 
-      return `File updated successfully: ${filePath}`;
-    } catch (error) {
-      return `Error replacing string in file: ${error.message}`;
+  /**
+   * CONTEXT WINDOW
+   *
+   * Token counts are estimated from message length. Before a request would
+   * push the history past COMPACT_THRESHOLD of the model's context, older turns
+   * are summarised by the model itself and replaced with a single summary
+   * message. The system prompt and the most recent turns are kept verbatim.
+   */
+  estimateTokens(message) {
+    let length = (message.content || '').length;
+    if (message.tool_calls) {
+      length += JSON.stringify(message.tool_calls).length;
     }
+    return Math.ceil(length / CHARS_PER_TOKEN) + 4; // Per-message overhead for role and separators
   }
 
-  // Process function calls from LLM response
-  async processFunctionCalls(responseText) {
-    const functionCalls = this.extractFunctionCalls(responseText);
-    let results = '';
+  estimateHistoryTokens(messages = this.conversationHistory) {
+    return messages.reduce((total, message) => total + this.estimateTokens(message), 0);
+  }
 
-    for (const call of functionCalls) {
-      if (call.name === 'run_in_terminal') {
-        const command = call.parameters.command;
-        const explanation = call.parameters.explanation || 'Running command';
-        const isBackground = call.parameters.isBackground === 'true';
-
-        const result = await this.runInTerminal(command, explanation, isBackground);
-        results += `\n<function_results>\n${result}\n</function_results>\n`;
-      } else if (call.name === 'get_terminal_output') {
-        const processId = call.parameters.id;
-        const result = this.getTerminalOutput(processId);
-        results += `\n<function_results>\n${result}\n</function_results>\n`;
-      } else if (call.name === 'list_dir') {
-        const dirPath = call.parameters.path;
-        const result = this.listDir(dirPath);
-        results += `\n<function_results>\n${result}\n</function_results>\n`;
-      } else if (call.name === 'file_search') {
-        const query = call.parameters.query;
-        const maxResults = call.parameters.maxResults ? parseInt(call.parameters.maxResults) : 50;
-        const result = this.fileSearch(query, maxResults);
-        results += `\n<function_results>\n${result}\n</function_results>\n`;
-      } else if (call.name === 'grep_search') {
-        const query = call.parameters.query;
-        const isRegexp = call.parameters.isRegexp === 'true';
-        const includePattern = call.parameters.includePattern || '**/*';
-        const maxResults = call.parameters.maxResults ? parseInt(call.parameters.maxResults) : 50;
-        const result = this.grepSearch(query, isRegexp, includePattern, maxResults);
-        results += `\n<function_results>\n${result}\n</function_results>\n`;
-      } else if (call.name === 'read_file') {
-        const filePath = call.parameters.filePath;
-        const offset = call.parameters.offset ? parseInt(call.parameters.offset) : null;
-        const limit = call.parameters.limit ? parseInt(call.parameters.limit) : null;
-        const result = this.readFile(filePath, offset, limit);
-        results += `\n<function_results>\n${result}\n</function_results>\n`;
-      } else if (call.name === 'create_file') {
-        const filePath = call.parameters.filePath;
-        const content = call.parameters.content || '';
-        const result = this.createFile(filePath, content);
-        results += `\n<function_results>\n${result}\n</function_results>\n`;
-      } else if (call.name === 'replace_string_in_file') {
-        const filePath = call.parameters.filePath;
-        const oldString = call.parameters.oldString;
-        const newString = call.parameters.newString;
-        const result = this.replaceStringInFile(filePath, oldString, newString);
-        results += `\n<function_results>\n${result}\n</function_results>\n`;
-      }
+  // Context length from config, else from the Modelfile via Ollama's /api/show, else the server default
+  async detectContextLength() {
+    const configured = this.setting('numCtx');
+    if (configured) {
+      this.contextLength = configured;
+      return;
     }
 
-    return results;
+    this.contextLength = (await this.fetchContextLength(this.model)) || DEFAULT_CONTEXT_LENGTH;
   }
 
-  // Process streaming content with special formatting for different types
-  processStreamContent(content) {
-    // Track state for special content blocks
-    if (!this.streamState) {
-      this.streamState = {
-        isInThinkingTag: false,
-        thinkingContent: '',
-        isInFunctionCall: false,
-        functionCallContent: '',
-        regularContent: ''
+  // The context length the server runs a model with (a num_ctx in its Modelfile), or null.
+  // The trained maximum in model_info is not used: this client only raises num_ctx when numCtx
+  // is configured, so without it the server truncates at its own default.
+  async fetchContextLength(model) {
+    const details = await this.fetchModelDetails(model);
+    return details ? details.numCtx : null;
+  }
+
+  // A model's num_ctx and trained context length from Ollama's /api/show, or null
+  async fetchModelDetails(model) {
+    try {
+      const response = await fetch(`${this.baseUrl.replace(/\/v1$/, '')}/api/show`, {
+        method: 'POST',
+        headers: this.buildHeaders(),
+        body: JSON.stringify({ model })
+      });
+      if (!response.ok) {
+        return null;
+      }
+
+      const details = await response.json();
+      const numCtx = (details.parameters || '').match(/^num_ctx\s+(\d+)/m);
+      const trainedKey = Object.keys(details.model_info || {}).find(key => key.endsWith('.context_length'));
+      return {
+        numCtx: numCtx ? parseInt(numCtx[1], 10) : null,
+        trainedContextLength: trainedKey ? details.model_info[trainedKey] : null
       };
+    } catch (error) {
+      return null; // Not an Ollama server (or unreachable)
     }
+  }
 
-    // Add content to our buffer
-    this.streamState.regularContent += content;
+  formatContextStatus() {
+    const used = this.estimateHistoryTokens();
+    const percent = Math.round((used / this.contextLength) * 100);
+    const color = percent >= COMPACT_THRESHOLD * 100 ? Colors.RED : percent >= 50 ? Colors.YELLOW : Colors.DIM;
+    return `${color}[context: ${percent}% · ~${used}/${this.contextLength} tokens]${Colors.RESET}`;
+  }
 
-    // Check for thinking tags
-    if (!this.streamState.isInThinkingTag && this.streamState.regularContent.includes('<think>')) {
-      // Extract content before thinking tag
-      const parts = this.streamState.regularContent.split('<think>');
-      const beforeThink = parts[0];
-      if (beforeThink) {
-        this.writeToStdout(this.formatLLMResponse(beforeThink));
-      }
+  // One-shot (non-streaming) completion, used for internal requests such as summaries
+  async requestCompletion(messages, model = this.model) {
+    this.abortController = new AbortController();
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify({ model, messages, stream: false }),
+      signal: this.abortController.signal
+    });
 
-      // Start thinking mode - output any content immediately after <think>
-      this.streamState.isInThinkingTag = true;
-      const afterThink = parts.slice(1).join('<think>');
-      this.streamState.regularContent = '';
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
 
-      // Process content after the <think> tag immediately
-      if (afterThink) {
-        this.processStreamContent(afterThink);
-      }
+    const data = await response.json();
+    // Drop reasoning so only the answer is kept
+    return (data.choices?.[0]?.message?.content || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+  }
 
-      // Debug log
-      console.log(this.formatSystemMessage('DEBUG: Started thinking mode'));
+  // Compact automatically when the next request would get close to the context limit
+  async ensureContextBudget() {
+    if (this.estimateHistoryTokens() < this.contextLength * COMPACT_THRESHOLD) {
       return;
     }
+    this.writeToStdout(this.formatSystemMessage('Context is nearly full, compacting older turns...') + '\n');
+    await this.compactConversation();
+  }
 
-    if (this.streamState.isInThinkingTag) {
-      // Check if this content contains the closing tag
-      if (content.includes('</think>')) {
-        // Split on closing tag
-        const parts = content.split('</think>');
-        const thinkingPart = parts[0];
-        const afterThinking = parts.slice(1).join('</think>');
-
-        // Output thinking content immediately with inline formatting
-        if (thinkingPart) {
-          this.writeToStdout(this.formatLLMThinkingInline(thinkingPart));
-        }
+  // Summarise everything but the system prompt and the most recent turns
+  async compactConversation() {
+    const systemMessages = this.conversationHistory.filter(msg => msg.role === 'system');
+    const messages = this.conversationHistory.filter(msg => msg.role !== 'system');
+
+    // Walk back from the end, keeping recent messages within the verbatim budget
+    let keepFrom = messages.length;
+    let keptTokens = 0;
+    while (keepFrom > 0 && keptTokens + this.estimateTokens(messages[keepFrom - 1]) <= this.contextLength * COMPACT_KEEP_RATIO) {
+      keepFrom--;
+      keptTokens += this.estimateTokens(messages[keepFrom]);
+    }
 
-        // End thinking mode - add newline and reset colors to separate from next content
-        this.streamState.isInThinkingTag = false;
-        this.writeToStdout(`${Colors.RESET}\n`);
+    // Start the kept part at a real user message, so tool calls stay next to their results
+    const isTurnStart = (msg) => msg.role === 'user' && !msg.content.trimStart().startsWith('<function_results>');
+    while (keepFrom < messages.length && !isTurnStart(messages[keepFrom])) {
+      keepFrom++;
+    }
+    if (keepFrom === messages.length) {
+      // Not even the last turn fits; keep it anyway and summarise the rest
+      keepFrom = messages.map(isTurnStart).lastIndexOf(true);
+    }
 
-        // Process content after thinking tag
-        if (afterThinking) {
-          this.streamState.regularContent = afterThinking;
-          const remaining = this.streamState.regularContent;
-          this.streamState.regularContent = '';
-          this.processStreamContent(remaining);
-        }
-      } else {
-        // Still in thinking mode, output content immediately with thinking color
-        this.writeToStdout(this.formatLLMThinkingInline(content));
-      }
-      return;
+    const older = messages.slice(0, Math.max(keepFrom, 0));
+    if (older.length === 0) {
+      this.writeToStdout(this.formatSystemMessage('Nothing to compact') + '\n');
+      return false;
     }
 
-    // Check for function calls
-    if (!this.streamState.isInFunctionCall && this.streamState.regularContent.includes('<function_calls>')) {
-      // Extract content before function call
-      const parts = this.streamState.regularContent.split('<function_calls>');
-      const beforeFunction = parts[0];
-      if (beforeFunction) {
-        this.writeToStdout(this.formatLLMResponse(beforeFunction));
+    // Give each message a share of the summariser's own context
+    const maxChars = Math.floor((this.contextLength * 0.6 * CHARS_PER_TOKEN) / older.length);
+    const transcript = older.map(msg => {
+      const label = msg.role === 'tool' || (msg.role === 'user' && !isTurnStart(msg)) ? 'TOOL RESULT' : msg.role.toUpperCase();
+      let text = msg.content || '';
+      if (msg.tool_calls) {
+        text += `\n${msg.tool_calls.map(call => `[tool call] ${call.function.name} ${call.function.arguments}`).join('\n')}`;
       }
+      if (text.length > maxChars) {
+        text = `${text.slice(0, maxChars)}\n[... truncated]`;
+      }
+      return `${label}:\n${text}`;
+    }).join('\n\n');
 
-      // Start function call mode
-      this.streamState.isInFunctionCall = true;
-      this.streamState.functionCallContent = '<function_calls>' + parts.slice(1).join('<function_calls>');
-      this.streamState.regularContent = '';
+    try {
+      const summary = await this.requestCompletion([
+        {
+          role: 'system',
+          content: 'You summarise conversations between a user and a coding assistant. Keep the user\'s goals, decisions, ' +
+            'file paths, commands, errors and anything still unresolved. Be concise and factual. Reply with the summary only.'
+        },
+        { role: 'user', content: `Summarise this conversation:\n\n${transcript}` }
+      ], this.setting('compactModel') || this.model);
+
+      if (!summary) {
+        throw new Error('the model returned an empty summary');
+      }
 
-      // Debug log
-      console.log(this.formatSystemMessage('DEBUG: Started function call mode'));
+      const before = this.estimateHistoryTokens();
+      this.conversationHistory = [
+        ...systemMessages,
+        { role: 'user', content: `[Conversation summary]\nThe earlier part of this conversation was compacted. Summary:\n\n${summary}` },
+        ...messages.slice(keepFrom)
+      ];
+      this.saveSession();
+
+      const after = this.estimateHistoryTokens();
+      this.writeToStdout(this.formatSystemMessage(`Compacted ${older.length} messages: ~${before} → ~${after} tokens`) + '\n');
+      return true;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this.writeToStdout(this.formatSystemMessage(`Compaction failed: ${error.message}`) + '\n');
+      }
+      return false;
     }
+  }
 
-    if (this.streamState.isInFunctionCall) {
-      // Add new content to function call buffer
-      this.streamState.functionCallContent += content;
-
-      if (this.streamState.functionCallContent.includes('</function_calls>')) {
-        // End of function call
-        const parts = this.streamState.functionCallContent.split('</function_calls>');
-        const functionCallText = parts[0] + '</function_calls>';
+  // Abort the streaming request, kill foreground children and decline any pending question
+  cancelCurrentTask() {
+    if (this.cancelRequested) {
+      return;
+    }
+    this.cancelRequested = true;
+    this.writeToStdout(`${Colors.RESET}\n${this.formatSystemMessage('Interrupted by user (press Ctrl+C again to exit)')}\n`);
 
-        // Display function call with special formatting
-        this.writeToStdout(Colors.RESET);
-        this.writeToStdout(this.formatFunctionCall(functionCallText));
+    if (this.abortController) {
+      this.abortController.abort();
+    }
 
-        // Continue with content after function call
-        this.streamState.isInFunctionCall = false;
-        this.streamState.functionCallContent = '';
-        this.streamState.regularContent = parts.slice(1).join('</function_calls>');
+    for (const childProcess of this.foregroundProcesses) {
+      this.killProcessTree(childProcess);
+    }
 
-        // Process any remaining content recursively
-        if (this.streamState.regularContent) {
-          const remaining = this.streamState.regularContent;
-          this.streamState.regularContent = '';
-          this.processStreamContent(remaining);
-        }
-      }
-      return; // Don't output function call content directly
+    if (this.pendingChoice) {
+      const { resolve } = this.pendingChoice;
+      this.pendingChoice = null;
+      resolve('n');
     }
+  }
 
-    // Regular LLM response content
-    if (this.streamState.regularContent && !this.streamState.isInThinkingTag && !this.streamState.isInFunctionCall) {
-      if (!this.streamState.regularContent.includes('<function_calls>') && !this.streamState.regularContent.includes('</function_calls>')) {
-        this.writeToStdout(this.formatLLMResponse(this.streamState.regularContent));
+  // Children are spawned in their own process group on POSIX so the whole tree can be stopped
+  killProcessTree(childProcess, signal = 'SIGTERM') {
+    childProcess.killedByUser = true;
+    try {
+      if (process.platform !== 'win32') {
+        process.kill(-childProcess.pid, signal);
+      } else {
+        childProcess.kill(signal);
       }
-      this.streamState.regularContent = '';
+    } catch (error) {
+      childProcess.kill(signal);
     }
   }
 
-  async sendMessage(message) {
-    // Add user message to conversation history (only if it's not empty)
-    if (message.trim()) {
-      this.conversationHistory.push({
-        role: 'user',
-        content: message
-      });
-    }
+  // Keep a partial answer in history, marked so the model knows it was cut off
+  recordInterruptedResponse(content) {
+    const partial = content.trim();
+    this.conversationHistory.push({
+      role: 'assistant',
+      content: partial ? `${partial}\n\n[interrupted by user]` : '[interrupted by user]'
+    });
+    this.saveSession();
+  }
 
-    // Reset stream state for new conversation
-    this.streamState = null;
+  /**
+   * Run one agent loop: send the message, execute any tool calls the model
+   * makes, and keep going until it answers without calling a tool.
+   * Resolves with the final answer text, with interrupted: true when the
+   * user cancelled, or with an error.
+   */
+  async runAgentLoop(message) {
+    // Busy from the start: expanding @mentions below is already async
+    this.isBusy = true;
+    this.cancelRequested = false;
 
     try {
-      const headers = {
-        'Content-Type': 'application/json'
-      };
-
-      if (OLLAMA_API_KEY) {
-        headers['Authorization'] = `Bearer ${OLLAMA_API_KEY}`;
-      }
-
-      const response = await fetch(`${baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          model: OLLAMA_MODEL,
-          messages: this.conversationHistory, // Send entire conversation history
-          stream: true
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      // Add user message to conversation history (only if it's not empty)
+      if (message.trim()) {
+        const userMessage = {
+          role: 'user',
+          content: await this.expandMentions(message)
+        };
+        // Images mentioned with @ travel with the message itself
+        if (this.pendingImages.length > 0) {
+          userMessage.images = this.pendingImages;
+          this.pendingImages = [];
+        }
+        this.conversationHistory.push(userMessage);
+        this.beginCheckpoint(userMessage);
       }
 
-      // Handle streaming response
-      const reader = response.body;
-      let buffer = '';
-      let assistantResponse = ''; // Collect the assistant's response
-
-      reader.on('data', (chunk) => {
-        buffer += chunk.toString();
-        const lines = buffer.split('\n');
-        buffer = lines.pop(); // Keep incomplete line in buffer
+      while (true) {
+        // Reset stream state for each response
+        this.streamState = null;
 
-        for (const line of lines) {
-          if (line.trim() === '') continue;
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') {
-              // Handle any remaining content in stream state
-              if (this.streamState) {
-                if (this.streamState.isInFunctionCall && this.streamState.functionCallContent) {
-                  this.writeToStdout(this.formatFunctionCall(this.streamState.functionCallContent));
-                }
-                if (this.streamState.regularContent) {
-                  this.writeToStdout(this.formatLLMResponse(this.streamState.regularContent));
-                }
-              }
+        await this.ensureContextBudget();
+        if (this.cancelRequested) {
+          return { interrupted: true };
+        }
 
-              // Add assistant response to conversation history
-              if (assistantResponse.trim()) {
-                this.conversationHistory.push({
-                  role: 'assistant',
-                  content: assistantResponse.trim()
-                });
-              }
-              this.writeToStdout('\n');
-              this.showPrompt();
-              return;
-            } try {
-              const parsed = JSON.parse(data);
-              const content = parsed.choices?.[0]?.delta?.content;
-              if (content) {
-                assistantResponse += content; // Collect the response
-
-                // Handle different types of content with special formatting
-                this.processStreamContent(content);
-              }
+        const { content, toolCalls, interrupted } = await this.streamChatCompletion();
+        this.flushStreamState();
 
-              // Check if this is the last chunk
-              if (parsed.choices?.[0]?.finish_reason) {
-                // Add assistant response to conversation history
-                if (assistantResponse.trim()) {
-                  this.conversationHistory.push({
-                    role: 'assistant',
-                    content: assistantResponse.trim()
-                  });
-                }
+        if (interrupted) {
+          this.recordInterruptedResponse(content);
+          return { content, interrupted: true };
+        }
 
-                // Process any function calls in the response
-                this.processFunctionCalls(assistantResponse).then((functionResults) => {
-                  if (functionResults) {
-                    // Send function results back to the LLM for processing
-                    this.writeToStdout(this.formatFunctionResult(functionResults));
-
-                    // Add function results to conversation and get LLM's response
-                    this.conversationHistory.push({
-                      role: 'user',
-                      content: functionResults
-                    });
-
-                    // Recursively call sendMessage to get LLM's response to the function results
-                    setTimeout(() => {
-                      this.sendMessage('');
-                    }, 100);
-                    return;
-                  }
+        // Add assistant response to conversation history
+        if (toolCalls.length > 0) {
+          this.conversationHistory.push({
+            role: 'assistant',
+            content: content.trim(),
+            tool_calls: toolCalls
+          });
+          this.writeToStdout('\n');
+          await this.processNativeToolCalls(toolCalls);
+          this.attachPendingImages();
+          this.saveSession();
 
-                  this.writeToStdout('\n');
-                  this.showPrompt();
-                });
-                return;
-              }
-            } catch (e) {
-              // Ignore JSON parse errors for partial chunks
-            }
+          if (this.cancelRequested) {
+            return { content, interrupted: true };
           }
+
+          // Send the tool results back to the LLM for processing
+          continue;
         }
-      }); reader.on('end', () => {
-        // Add assistant response to conversation history if we have one
-        // (only if it wasn't already added in the finish_reason handler)
-        if (assistantResponse.trim() &&
-          (!this.conversationHistory.length ||
-            this.conversationHistory[this.conversationHistory.length - 1].content !== assistantResponse.trim())) {
+
+        if (content.trim()) {
           this.conversationHistory.push({
             role: 'assistant',
-            content: assistantResponse.trim()
+            content: content.trim()
           });
         }
 
-        // Only show prompt if no function calls were processed
-        // (function call processing handles its own prompt display)
-        if (!this.extractFunctionCalls(assistantResponse).length) {
-          this.writeToStdout('\n');
-          this.showPrompt();
+        // Process any XML function calls in the response
+        const functionResults = await this.processFunctionCalls(content);
+        if (functionResults) {
+          // Send function results back to the LLM for processing
+          this.writeFunctionResult(functionResults);
+
+          // Add function results to conversation and get LLM's response
+          this.conversationHistory.push({
+            role: 'user',
+            content: functionResults
+          });
+          this.attachPendingImages();
+          this.saveSession();
+
+          if (this.cancelRequested) {
+            return { content, interrupted: true };
+          }
+          continue;
         }
-      }); reader.on('error', (err) => {
-        console.error('\nError reading response:', err.message);
-        this.showPrompt();
-      });
 
+        this.saveSession();
+        return { content: content.replace(/<think>[\s\S]*?<\/think>/g, '').trim() };
+      }
     } catch (error) {
-      console.error('Error:', error.message);
+      // Close any open fence or thinking block so it doesn't run into the next response
+      this.flushStreamState();
+      // Cancelled before the response started streaming
+      if (error.name === 'AbortError') {
+        this.recordInterruptedResponse('');
+        return { interrupted: true };
+      }
+      this.saveSession();
+      return { error };
+    } finally {
+      this.isBusy = false;
+      this.abortController = null;
+    }
+  }
+
+  // Run a slash command or send a message, as typed at the prompt
+  submitInput(input) {
+    if (input.trimStart().startsWith('/')) {
+      this.executeSlashCommand(input);
+    } else if (input.trim()) {
+      this.sendMessage(input);
+    } else {
       this.showPrompt();
     }
   }
 
+  async sendMessage(message) {
+    const { error } = await this.runAgentLoop(message);
+    this.cancelRequested = false;
+    if (error) {
+      console.error('\nError:', error.message);
+    }
+
+    this.writeToStdout('\n');
+    this.submitQueuedInput();
+  }
+
+  // Submit the input queued while busy, or show the prompt when there is none
+  submitQueuedInput() {
+    if (this.queuedInput !== null) {
+      const input = this.queuedInput;
+      this.queuedInput = null;
+      this.writeToStdout(this.formatUserInput(`>>> ${input.replace(/\n/g, '\n... ')}`) + '\n');
+      this.submitInput(input);
+      return;
+    }
+    this.showPrompt();
+  }
+
+  /**
+   * HEADLESS MODE
+   *
+   * `-p "<prompt>"` and/or piped stdin run a single agent loop without the REPL,
+   * then exit: 0 on success, 1 when the request failed, 2 without a prompt. Output formats:
+   * - text:        the final answer only
+   * - json:        { result, is_error, tool_calls: [...], ... } once at the end
+   * - stream-json: one JSON event per line as the loop progresses
+   * Progress and diagnostics go to stderr so stdout stays machine-readable.
+   */
+  async runHeadless(options) {
+    const startTime = Date.now();
+    const prompt = [options.prompt, options.stdin].filter(text => text && text.trim()).join('\n\n');
+    if (!prompt) {
+      console.error('Error: no prompt given (use -p "<prompt>" or pipe input on stdin)');
+      return 2;
+    }
+
+    await this.checkModel();
+    await this.detectContextLength();
+    this.emitEvent({ type: 'start', model: this.model, session_id: this.session.id, cwd: process.cwd() });
+
+    const { content, error } = await this.runAgentLoop(prompt);
+    const result = {
+      type: 'result',
+      result: error ? null : content,
+      is_error: Boolean(error),
+      error: error ? error.message : undefined,
+      model: this.model,
+      session_id: this.session.id,
+      duration_ms: Date.now() - startTime
+    };
+
+    if (this.headless.format === 'stream-json') {
+      this.emitEvent(result);
+    } else if (this.headless.format === 'json') {
+      process.stdout.write(JSON.stringify({ ...result, tool_calls: this.headless.trace }, null, 2) + '\n');
+    } else if (error) {
+      console.error(`Error: ${error.message}`);
+    } else {
+      process.stdout.write(content + '\n');
+    }
+
+    return error ? 1 : 0;
+  }
+
+  // Record a headless event: printed as a line in stream-json, collected for the json trace
+  emitEvent(event) {
+    if (!this.headless) {
+      return;
+    }
+    if (this.headless.format === 'stream-json') {
+      process.stdout.write(JSON.stringify(event) + '\n');
+    }
+    if (event.type === 'tool_call') {
+      this.headless.trace.push({ name: event.name, parameters: event.parameters });
+    } else if (event.type === 'tool_result') {
+      this.headless.trace[this.headless.trace.length - 1].result = event.result;
+    }
+  }
+
   showPrompt() {
+    // Status line: how full the context window is
+    if (this.contextLength && this.conversationHistory.some(msg => msg.role !== 'system')) {
+      this.writeToStdout(this.formatContextStatus() + '\n');
+    }
     this.writeToStdout(this.formatUserInput('>>> '));
+    this.inputRender = null;
   }
 
-  start() {
-    console.log(`${Colors.BRIGHT}Ollama Chat - Model: ${OLLAMA_MODEL}${Colors.RESET}`);
-    console.log(`${Colors.BRIGHT}Host: ${baseUrl}${Colors.RESET}`);
+  async start(options = {}) {
+    console.log(`${Colors.BRIGHT}Ollama Chat - Model: ${this.model}${Colors.RESET}`);
+    console.log(`${Colors.BRIGHT}Host: ${this.baseUrl}${this.config.profile ? ` (profile: ${this.config.profile})` : ''}${Colors.RESET}`);
+    console.log(`${Colors.BRIGHT}Permissions: ${this.permissions.mode}${Colors.RESET}`);
+    console.log(`${Colors.BRIGHT}Workspace: ${this.workspace.root}${this.workspace.readOnly ? ' (read-only)' : ''}${Colors.RESET}`);
     console.log('Commands:');
     console.log('  Enter: Send message');
     console.log('  Alt+Enter: New line');
     console.log('  Ctrl+L: Clear conversation history');
-    console.log('  Ctrl+C: Exit\n');
+    console.log('  /help: List slash commands (Tab completes names)');
+    console.log('  Esc / Ctrl+C: Cancel the running answer or command');
+    console.log('  Ctrl+C twice: Exit\n');
+
+    await this.checkModel();
+    await this.detectContextLength();
+    console.log(this.formatSystemMessage(`Context length: ${this.contextLength} tokens`));
+
+    if (options.continue) {
+      const [latest] = this.listSessions(process.cwd());
+      if (latest) {
+        this.restoreSession(latest);
+      } else {
+        console.log(this.formatSystemMessage('No previous session for this directory, starting a new one'));
+      }
+    } else if (options.resume) {
+      const session = options.resume === true
+        ? await this.pickSession()
+        : this.listSessions().find(saved => saved.id === options.resume || saved.id.startsWith(options.resume));
+      if (session) {
+        this.restoreSession(session);
+      } else if (options.resume === true) {
+        console.log(this.formatSystemMessage('No session selected, starting a new one'));
+      } else {
+        console.log(this.formatSystemMessage(`No session found with ID: ${options.resume}`));
+      }
+    }
 
     this.showPrompt();
   }
@@ -1185,36 +6331,75 @@ function showHelp() {
   console.log('');
   console.log('Options:');
   console.log('  --help, -h     Show this help message');
-  console.log('  --model, -m    Set the Ollama model to use (default: gwen3)');
+  console.log('  --model, -m    Set the Ollama model to use (default: qwen3:8b)');
   console.log('  --host         Set the Ollama host URL (default: http://localhost:11434)');
+  console.log('  --profile      Use a named profile from config.json (host, model, tool mode, ...)');
+  console.log('  --permission-mode <ask|auto-edit|yolo>');
+  console.log('                 Approval for commands and file edits (default: ask)');
+  console.log('  --tool-mode <xml|openai|ollama>');
+  console.log('                 Tool calling protocol (default: per-model config, else xml)');
+  console.log('  --print, -p    Run a single prompt without the REPL and exit (also used for piped stdin)');
+  console.log('  --output-format <text|json|stream-json>');
+  console.log('                 Output of --print mode (default: text)');
+  console.log('  --continue, -c Reopen the most recent session for the current directory');
+  console.log('  --resume, -r [id]');
+  console.log('                 Resume a saved session (interactive picker without an ID)');
+  console.log('  --workspace    Workspace root for file tools (default: current directory)');
+  console.log('  --add-dir      Allow file tools to access an extra directory (repeatable)');
+  console.log('  --read-only    Disable the file-writing tools and ask before every command');
   console.log('');
   console.log('Environment Variables:');
-  console.log('  OLLAMA_MODEL      Model to use (default: gwen3)');
+  console.log('  OLLAMA_MODEL      Model to use (default: qwen3:8b)');
   console.log('  OLLAMA_HOST       Host URL for Ollama server');
   console.log('  OLLAMA_BASE_URL   Alternative host URL setting');
   console.log('  OLLAMA_API_KEY    API key for authentication (if required)');
+  console.log('  OLLAMA_PROFILE    Config profile to use');
+  console.log('  OLLAMA_WORKSPACE  Workspace root for file tools');
+  console.log('  OLLAMA_ADD_DIRS   Extra allowed directories (separated by the path delimiter)');
+  console.log('  OLLAMA_READ_ONLY  Set to 1 to disable the file-writing tools');
+  console.log('');
+  console.log('Config:');
+  console.log('  Settings and profiles are read from ~/.config/ollama-code/config.json and');
+  console.log('  .ollama-code/config.json. Precedence: flag > environment > profile > project > user');
+  console.log('');
+  console.log('Permissions:');
+  console.log('  Allow/deny rules for command prefixes and path globs are read from');
+  console.log('  ~/.config/ollama-code/permissions.json and .ollama-code/permissions.json');
   console.log('');
   console.log('Interactive Commands:');
   console.log('  Enter             Send message to the AI');
   console.log('  Alt+Enter         Insert new line (for multi-line messages)');
   console.log('  Ctrl+L            Clear conversation history');
-  console.log('  Ctrl+C            Exit the application');
+  console.log('  Ctrl+O            Show the last tool result in full');
+  console.log('  Ctrl+T            Show or hide thinking output');
+  console.log('  /help             List slash commands (/clear, /model, /save, /load, ...)');
+  console.log('  Tab               Complete a slash command name or an @file path');
+  console.log('  Up/Down           Move between lines, or through prompt history');
+  console.log('  Ctrl+R            Search prompt history');
+  console.log('  Ctrl+X Ctrl+E     Edit the input in $VISUAL / $EDITOR');
+  console.log('  Ctrl+A/E/W/K/U/Y  Emacs-style editing (Alt+B/F/D for words)');
+  console.log('  Esc               Cancel the running answer or command');
+  console.log('  Ctrl+C            Cancel, or press twice to exit the application');
   console.log('');
   console.log('Features:');
   console.log('  • Multi-line input support with proper paste handling');
   console.log('  • Conversation history and context preservation');
+  console.log('  • Sessions saved to ~/.config/ollama-code/sessions for --continue/--resume');
   console.log('  • File system operations (read, write, search files)');
   console.log('  • Terminal command execution');
-  console.log('  • System instructions from docs/system.md');
+  console.log('  • System instructions from docs/system.md plus AGENTS.md / .ollama-code/instructions.md');
   console.log('');
   console.log('Examples:');
   console.log('  node ollama-chat.js');
-  console.log('  node ollama-chat.js --model gwen3:8b');
-  console.log('  OLLAMA_MODEL=gwen3:8b node ollama-chat.js');
+  console.log('  node ollama-chat.js --model qwen3:8b');
+  console.log('  OLLAMA_MODEL=qwen3:8b node ollama-chat.js');
+  console.log('  cat err.log | node ollama-chat.js -p "explain" --output-format json');
 }
 
 // Parse command line arguments
 const args = process.argv.slice(2);
+const startOptions = {};
+const cliSettings = {}; // Highest-precedence settings (see OllamaChat.setting)
 for (let i = 0; i < args.length; i++) {
   const arg = args[i];
 
@@ -1223,20 +6408,89 @@ for (let i = 0; i < args.length; i++) {
     process.exit(0);
   } else if (arg === '--model' || arg === '-m') {
     if (i + 1 < args.length) {
-      process.env.OLLAMA_MODEL = args[i + 1];
+      cliSettings.model = args[i + 1];
       i++; // Skip the next argument as it's the model name
     } else {
       console.error('Error: --model requires a model name');
       process.exit(1);
     }
+  } else if (arg === '--permission-mode') {
+    if (i + 1 < args.length && PERMISSION_MODES.includes(args[i + 1])) {
+      cliSettings.permissionMode = args[i + 1];
+      i++; // Skip the next argument as it's the mode
+    } else {
+      console.error(`Error: --permission-mode requires one of: ${PERMISSION_MODES.join(', ')}`);
+      process.exit(1);
+    }
+  } else if (arg === '--workspace') {
+    if (i + 1 < args.length) {
+      process.env.OLLAMA_WORKSPACE = args[i + 1];
+      i++; // Skip the next argument as it's the directory
+    } else {
+      console.error('Error: --workspace requires a directory');
+      process.exit(1);
+    }
+  } else if (arg === '--add-dir') {
+    if (i + 1 < args.length) {
+      const extraDirs = (process.env.OLLAMA_ADD_DIRS || '').split(path.delimiter).filter(Boolean);
+      process.env.OLLAMA_ADD_DIRS = [...extraDirs, args[i + 1]].join(path.delimiter);
+      i++; // Skip the next argument as it's the directory
+    } else {
+      console.error('Error: --add-dir requires a directory');
+      process.exit(1);
+    }
+  } else if (arg === '--read-only') {
+    process.env.OLLAMA_READ_ONLY = '1';
+  } else if (arg === '--tool-mode') {
+    if (i + 1 < args.length && TOOL_MODES.includes(args[i + 1])) {
+      cliSettings.toolMode = args[i + 1];
+      i++; // Skip the next argument as it's the mode
+    } else {
+      console.error(`Error: --tool-mode requires one of: ${TOOL_MODES.join(', ')}`);
+      process.exit(1);
+    }
+  } else if (arg === '--print' || arg === '-p') {
+    if (i + 1 < args.length) {
+      startOptions.prompt = args[i + 1];
+      i++; // Skip the next argument as it's the prompt
+    } else {
+      console.error('Error: --print requires a prompt');
+      process.exit(1);
+    }
+  } else if (arg === '--output-format') {
+    if (i + 1 < args.length && OUTPUT_FORMATS.includes(args[i + 1])) {
+      startOptions.outputFormat = args[i + 1];
+      i++; // Skip the next argument as it's the format
+    } else {
+      console.error(`Error: --output-format requires one of: ${OUTPUT_FORMATS.join(', ')}`);
+      process.exit(1);
+    }
+  } else if (arg === '--continue' || arg === '-c') {
+    startOptions.continue = true;
+  } else if (arg === '--resume' || arg === '-r') {
+    // The session ID is optional; without one an interactive picker is shown
+    if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+      startOptions.resume = args[i + 1];
+      i++; // Skip the next argument as it's the session ID
+    } else {
+      startOptions.resume = true;
+    }
   } else if (arg === '--host') {
     if (i + 1 < args.length) {
-      process.env.OLLAMA_HOST = args[i + 1];
+      cliSettings.host = args[i + 1];
       i++; // Skip the next argument as it's the host URL
     } else {
       console.error('Error: --host requires a URL');
       process.exit(1);
     }
+  } else if (arg === '--profile') {
+    if (i + 1 < args.length) {
+      cliSettings.profile = args[i + 1];
+      i++; // Skip the next argument as it's the profile name
+    } else {
+      console.error('Error: --profile requires a profile name');
+      process.exit(1);
+    }
   } else {
     console.error(`Error: Unknown argument '${arg}'`);
     console.error('Use --help to see available options');
@@ -1245,7 +6499,7 @@ for (let i = 0; i < args.length; i++) {
 }
 
 // Check if required packages are available
-const requiredPackages = ['node-fetch', 'xml2js', 'glob'];
+const requiredPackages = ['node-fetch', 'xml2js', 'glob', 'minimatch'];
 const missingPackages = [];
 
 for (const pkg of requiredPackages) {
@@ -1264,6 +6518,32 @@ if (missingPackages.length > 0) {
   process.exit(1);
 }
 
-// Start the chat application
-const chat = new OllamaChat();
-chat.start();
+// Run headless when given a prompt or piped input, otherwise start the interactive chat
+if (startOptions.prompt !== undefined || !process.stdin.isTTY) {
+  // Keep stdout for the result; progress messages go to stderr
+  console.log = console.error;
+
+  let stdinContent = '';
+  const readStdin = process.stdin.isTTY
+    ? Promise.resolve()
+    : new Promise((resolve) => {
+      process.stdin.on('data', (chunk) => { stdinContent += chunk.toString(); });
+      process.stdin.on('end', resolve);
+    });
+
+  readStdin.then(async () => {
+    const chat = new OllamaChat({ headless: { format: startOptions.outputFormat }, settings: cliSettings });
+    if (startOptions.continue) {
+      const [latest] = chat.listSessions(process.cwd());
+      if (latest) {
+        chat.restoreSession(latest);
+      }
+    }
+    const exitCode = await chat.runHeadless({ ...startOptions, stdin: stdinContent });
+    process.exit(exitCode);
+  });
+} else {
+  // Start the chat application
+  const chat = new OllamaChat({ settings: cliSettings });
+  chat.start(startOptions);
+}